@@ -0,0 +1,504 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const {
+  loadProfile,
+  validateProfile,
+  ProductDataPipeline,
+  CsvSink,
+  NdjsonSink,
+  JsonSink,
+  ParquetSink,
+  MysqlSink,
+  PostgresSink,
+  SqliteSink,
+  S3UploadSink,
+  PriceHistorySink,
+  formatChange,
+  eventTypes,
+  WebhookNotifier,
+  makeRequest,
+  makeScrapeOpsRequest,
+  getHeaders,
+  Politeness,
+  Checkpoint,
+  scrape,
+  isMainThread,
+  runMainThread,
+  runWorkerThread,
+  readNdjson,
+  FileRatesProvider,
+  HttpRatesProvider,
+  loadConfig,
+  configFor,
+} = require("./lib");
+
+const usage = `Usage: node cli.js <command> [options]
+
+Commands:
+  crawl                     Scrape a site profile into one or more sinks
+  export <products.json>    Write previously scraped products into sinks
+                            (reads a JSON array or a .ndjson file)
+  validate-profile <path>   Check a site profile for errors
+
+Sink options (crawl, export):
+  --csv <file>              Append products to a CSV file
+  --csv-columns <list>      Comma-separated CSV column order
+  --csv-delimiter <char>    CSV field delimiter (default: ",")
+  --csv-bom                 Start new CSV files with a BOM for Excel
+  --ndjson <file>           Append products to a JSON Lines file
+  --json <file>             Add products to a JSON array file when done
+  --parquet <file>          Write products to a Parquet file (replaced each run)
+  --s3-bucket <bucket>      Upload every file written above to S3 when done
+  --s3-key <template>       S3 key template; placeholders {site}, {date},
+                            {runId}, {filename}, {basename}, {ext}
+                            (default: crawls/{site}/{date}/{runId}.{ext})
+  --mysql-db <database>     Insert products into MySQL
+  --pg-db <database>        Insert products into Postgres
+  --sqlite <file>           Insert products into a SQLite database file
+  --history <file>          Track prices in a SQLite file and log new, removed,
+                            repriced and back-in-stock products against the
+                            last run (removals only on full crawls without --url)
+  --webhook <url>           POST --history change events to a URL, repeatable
+  --webhook-events <list>   Event types to send (default: all of new, removed,
+                            price-up, price-down, back-in-stock)
+  --webhook-format <name>   Payload format: json or slack (default: json)
+  --webhook-batch-size <n>  Events per request (default: 20)
+  --webhook-retries <n>     Attempts per request (default: 3)
+  --webhook-dry-run         Log the webhook payloads instead of sending them
+  --rates <file|url|live>   Exchange rates for price conversion: a JSON file,
+                            a Frankfurter-style API URL, or "live" for
+                            api.frankfurter.app (default: fixed GBP/USD 1.32)
+  --currencies <list>       Currencies to convert prices to (default: USD)
+  --drop-invalid            Keep products that break a field rule out of the sinks
+  --batch-size <n>          Products buffered per write (default: 5)
+  --config <file>           Settings file (default: scraper.config.json);
+                            environment variables override it
+
+Crawl options:
+  --profile <name|path>     Site profile to crawl (default: chocolate.co.uk)
+  --url <url>               Start URL, repeatable (default: profile startUrls)
+  --concurrency <n>         Worker threads sharing the URL queue (default: one per URL)
+  --pages-per-worker <n>    Pages each worker loads at once (default: 1)
+  --retries <n>             Attempts per page (default: 3)
+  --retry-delay <ms>        Base delay for exponential backoff (default: 1000)
+  --max-retry-delay <ms>    Longest wait between attempts (default: 30000)
+  --details                 Also visit each product's page for its description,
+                            SKU, availability, variants, images and breadcrumbs,
+                            preferring Shopify product JSON and JSON-LD
+  --rate <n>                Requests per second to each host (default: 1)
+  --burst <n>               Requests a host may get back to back (default: 1)
+  --delay <ms>              Minimum gap between requests to a host (default: 0);
+                            a longer robots.txt Crawl-delay wins
+  --ignore-robots           Crawl URLs that robots.txt disallows
+  --user-agent <string>     User-Agent for pages and robots.txt, whose rules
+                            are matched against it (default: a desktop Chrome)
+  --proxy <none|scrapeops>  Route requests through a proxy (default: none)
+  --fake-headers            Use ScrapeOps browser headers
+  --scrapeops-key <key>     ScrapeOps API key (default: SCRAPEOPS_API_KEY)
+  --checkpoint <file>       Save crawl progress to a file as the crawl runs;
+                            it is removed when the crawl finishes
+  --resume                  Continue the crawl saved in --checkpoint
+  --quality-report <file>   Write the run's data-quality report as JSON
+  --min-quality <percent>   Fail the run when fewer items than this became
+                            valid products
+  --headful                 Show the browser window
+  --pages-per-context <n>   Pages before a browser context is recycled (default: 20)
+  --pages-per-browser <n>   Pages before Chromium is restarted (default: 200)
+`;
+
+const sinkOptions = {
+  csv: { type: "string" },
+  "csv-columns": { type: "string" },
+  "csv-delimiter": { type: "string", default: "," },
+  "csv-bom": { type: "boolean", default: false },
+  ndjson: { type: "string" },
+  json: { type: "string" },
+  parquet: { type: "string" },
+  "s3-bucket": { type: "string" },
+  "s3-key": { type: "string" },
+  "mysql-db": { type: "string" },
+  "pg-db": { type: "string" },
+  sqlite: { type: "string" },
+  history: { type: "string" },
+  webhook: { type: "string", multiple: true },
+  "webhook-events": { type: "string" },
+  "webhook-format": { type: "string", default: "json" },
+  "webhook-batch-size": { type: "string", default: "20" },
+  "webhook-retries": { type: "string", default: "3" },
+  "webhook-dry-run": { type: "boolean", default: false },
+  rates: { type: "string" },
+  currencies: { type: "string", default: "USD" },
+  "drop-invalid": { type: "boolean", default: false },
+  "batch-size": { type: "string", default: "5" },
+  config: { type: "string" },
+};
+
+const crawlOptions = {
+  ...sinkOptions,
+  profile: { type: "string", default: "chocolate.co.uk" },
+  url: { type: "string", multiple: true },
+  concurrency: { type: "string" },
+  "pages-per-worker": { type: "string", default: "1" },
+  retries: { type: "string", default: "3" },
+  "retry-delay": { type: "string", default: "1000" },
+  "max-retry-delay": { type: "string", default: "30000" },
+  details: { type: "boolean", default: false },
+  rate: { type: "string", default: "1" },
+  burst: { type: "string", default: "1" },
+  delay: { type: "string", default: "0" },
+  "ignore-robots": { type: "boolean", default: false },
+  "user-agent": { type: "string" },
+  proxy: { type: "string", default: "none" },
+  "fake-headers": { type: "boolean", default: false },
+  "scrapeops-key": { type: "string" },
+  checkpoint: { type: "string" },
+  resume: { type: "boolean", default: false },
+  "quality-report": { type: "string" },
+  "min-quality": { type: "string" },
+  headful: { type: "boolean", default: false },
+  "pages-per-context": { type: "string", default: "20" },
+  "pages-per-browser": { type: "string", default: "200" },
+};
+
+function parsePositiveInt(value, flag) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${flag} must be a positive integer, got "${value}"`);
+  }
+  return number;
+}
+
+function parsePositiveNumber(value, flag) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(`${flag} must be a positive number, got "${value}"`);
+  }
+  return number;
+}
+
+function parseNonNegativeInt(value, flag) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${flag} must be zero or a positive integer, got "${value}"`);
+  }
+  return number;
+}
+
+function parsePercent(value, flag) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || number > 100) {
+    throw new Error(`${flag} must be a percentage from 0 to 100, got "${value}"`);
+  }
+  return number;
+}
+
+function createRatesProvider(source, base) {
+  if (source === "live") {
+    return new HttpRatesProvider({ base });
+  }
+  if (/^https?:\/\//.test(source)) {
+    return new HttpRatesProvider({ url: source, base });
+  }
+  return new FileRatesProvider({ filename: source });
+}
+
+function createNotifiers(values, profile) {
+  if (!values.webhook) {
+    return [];
+  }
+  if (!values.history) {
+    throw new Error("--webhook sends the changes --history detects, so add --history");
+  }
+  const events = values["webhook-events"]?.split(",").map((type) => type.trim()).filter(Boolean) ?? eventTypes;
+  return values.webhook.map((url) => new WebhookNotifier({
+    url,
+    events,
+    format: values["webhook-format"],
+    site: profile?.name ?? null,
+    batchSize: parsePositiveInt(values["webhook-batch-size"], "--webhook-batch-size"),
+    retries: parsePositiveInt(values["webhook-retries"], "--webhook-retries"),
+    dryRun: values["webhook-dry-run"],
+  }));
+}
+
+// Sends what is still batched even when the run failed
+async function closeNotifiers(notifiers) {
+  const results = await Promise.allSettled(notifiers.map((notifier) => notifier.close()));
+  const failed = results.find((result) => result.status === "rejected");
+  if (failed) {
+    throw failed.reason;
+  }
+}
+
+async function createPipeline(values, config, profile, { startedAt, detectRemoved = false, notifiers = [] } = {}) {
+  const sinks = [];
+  if (values.csv) {
+    sinks.push(new CsvSink({
+      filename: values.csv,
+      columns: values["csv-columns"]?.split(",").map((column) => column.trim()),
+      delimiter: values["csv-delimiter"],
+      bom: values["csv-bom"],
+    }));
+  }
+  if (values.ndjson) {
+    sinks.push(new NdjsonSink({ filename: values.ndjson }));
+  }
+  if (values.json) {
+    sinks.push(new JsonSink({ filename: values.json, resume: values.resume }));
+  }
+  if (values.parquet) {
+    sinks.push(new ParquetSink({ filename: values.parquet, resume: values.resume }));
+  }
+  if (values["mysql-db"]) {
+    sinks.push(new MysqlSink({
+      ...configFor(config, "mysql", { database: values["mysql-db"] }),
+      source: profile?.name,
+    }));
+  }
+  if (values["pg-db"]) {
+    sinks.push(new PostgresSink({
+      ...configFor(config, "postgres", { database: values["pg-db"] }),
+      source: profile?.name,
+    }));
+  }
+  if (values.sqlite) {
+    sinks.push(new SqliteSink({ filename: values.sqlite, source: profile?.name }));
+  }
+  if (values.history) {
+    sinks.push(new PriceHistorySink({
+      filename: values.history,
+      source: profile?.name,
+      startedAt,
+      detectRemoved,
+      onChange: async (events) => {
+        for (const event of events) {
+          console.log(formatChange(event));
+        }
+        for (const notifier of notifiers) {
+          await notifier.notify(events);
+        }
+      },
+    }));
+  }
+
+  if (sinks.length === 0) {
+    throw new Error("At least one sink is required: --csv, --ndjson, --json, --parquet, --mysql-db, --pg-db, --sqlite or --history");
+  }
+  if (values["s3-bucket"]) {
+    const files = [values.csv, values.ndjson, values.json, values.parquet, values.sqlite].filter(Boolean);
+    if (files.length === 0) {
+      throw new Error("--s3-bucket uploads the files other sinks write, so add --csv, --ndjson, --json, --parquet or --sqlite");
+    }
+    sinks.push(new S3UploadSink({
+      ...configFor(config, "s3", { keyTemplate: values["s3-key"] }),
+      bucket: values["s3-bucket"],
+      files,
+      site: profile?.name,
+    }));
+  }
+
+  const currency = profile?.currency ?? "GBP";
+  const rates = values.rates ? await createRatesProvider(values.rates, currency).getRates() : null;
+  if (rates) {
+    console.log(`Using ${rates.base} exchange rates from ${rates.date ?? "an undated table"}`);
+  }
+
+  return new ProductDataPipeline({
+    sinks,
+    storageQueueLimit: parsePositiveInt(values["batch-size"], "--batch-size"),
+    baseUrl: profile?.baseUrl,
+    rates,
+    currency,
+    currencies: values.currencies.split(",").map((code) => code.trim().toUpperCase()).filter(Boolean),
+    dropInvalid: values["drop-invalid"],
+  });
+}
+
+async function crawl(args) {
+  const { values } = parseArgs({ args, options: crawlOptions });
+  const config = loadConfig({ configFile: values.config });
+  const profile = loadProfile(values.profile);
+  const listOfUrls = values.url || [...profile.startUrls];
+
+  if (!["none", "scrapeops"].includes(values.proxy)) {
+    throw new Error(`--proxy must be "none" or "scrapeops", got "${values.proxy}"`);
+  }
+  let scrapeOpsKey;
+  if (values.proxy === "scrapeops" || values["fake-headers"]) {
+    ({ apiKey: scrapeOpsKey } = configFor(config, "scrapeOps", { apiKey: values["scrapeops-key"] }));
+  }
+
+  let checkpoint = null;
+  if (values.resume) {
+    if (!values.checkpoint) {
+      throw new Error("--resume needs the --checkpoint file to continue from");
+    }
+    checkpoint = Checkpoint.load(values.checkpoint);
+    if (checkpoint.profile !== profile.name) {
+      throw new Error(`${values.checkpoint} is a crawl of ${checkpoint.profile}, not ${profile.name}`);
+    }
+    console.log(`Resuming with ${checkpoint.visited.size} pages visited and ${checkpoint.pending.size} pending`);
+  } else if (values.checkpoint) {
+    if (fs.existsSync(values.checkpoint)) {
+      throw new Error(`${values.checkpoint} holds an unfinished crawl; pass --resume to continue it or delete it`);
+    }
+    checkpoint = new Checkpoint({ filename: values.checkpoint, profile: profile.name });
+  }
+
+  if (values.details && !profile.detail) {
+    throw new Error(`--details needs a "detail" section in the ${profile.name} profile`);
+  }
+
+  // Products missing from a crawl of only some start URLs aren't gone
+  const notifiers = createNotifiers(values, profile);
+  const pipeline = await createPipeline(values, config, profile, {
+    startedAt: checkpoint?.startedAt,
+    detectRemoved: !values.url,
+    notifiers,
+  });
+  const options = {
+    profile,
+    requestOptions: {
+      retries: parsePositiveInt(values.retries, "--retries"),
+      backoff: {
+        baseDelay: parsePositiveInt(values["retry-delay"], "--retry-delay"),
+        maxDelay: parsePositiveInt(values["max-retry-delay"], "--max-retry-delay"),
+      },
+    },
+    proxy: values.proxy,
+    fakeHeaders: values["fake-headers"],
+    scrapeOpsKey,
+    headless: !values.headful,
+    browserPool: {
+      pagesPerContext: parsePositiveInt(values["pages-per-context"], "--pages-per-context"),
+      pagesPerBrowser: parsePositiveInt(values["pages-per-browser"], "--pages-per-browser"),
+      userAgent: values["user-agent"],
+    },
+  };
+
+  const minQuality = values["min-quality"] && parsePercent(values["min-quality"], "--min-quality");
+
+  let quality;
+  try {
+    ({ quality } = await runMainThread(__filename, listOfUrls, pipeline, {
+      concurrency: values.concurrency && parsePositiveInt(values.concurrency, "--concurrency"),
+      pagesPerWorker: parsePositiveInt(values["pages-per-worker"], "--pages-per-worker"),
+      options,
+      details: values.details,
+      politeness: new Politeness({
+        requestsPerSecond: parsePositiveNumber(values.rate, "--rate"),
+        burst: parsePositiveInt(values.burst, "--burst"),
+        delay: parseNonNegativeInt(values.delay, "--delay"),
+        respectRobots: !values["ignore-robots"],
+        userAgent: values["user-agent"],
+      }),
+      checkpoint,
+    }));
+  } finally {
+    await closeNotifiers(notifiers);
+  }
+
+  console.log(quality.format());
+  if (values["quality-report"]) {
+    fs.writeFileSync(values["quality-report"], JSON.stringify(quality, null, 2));
+  }
+  if (minQuality !== undefined) {
+    quality.check(minQuality / 100);
+  }
+}
+
+async function exportProducts(args) {
+  const { values, positionals } = parseArgs({ args, options: sinkOptions, allowPositionals: true });
+  if (positionals.length !== 1) {
+    throw new Error("export expects exactly one input file");
+  }
+
+  const products = positionals[0].endsWith(".ndjson")
+    ? readNdjson(positionals[0])
+    : JSON.parse(fs.readFileSync(positionals[0], "utf8"));
+  const notifiers = createNotifiers(values);
+  const pipeline = await createPipeline(values, loadConfig({ configFile: values.config }), undefined, { notifiers });
+  try {
+    for (const product of products) {
+      await pipeline.queueProduct(product);
+    }
+    await pipeline.close();
+  } finally {
+    await closeNotifiers(notifiers);
+  }
+  console.log(`Exported ${products.length} products from ${positionals[0]}`);
+}
+
+function validateProfileCommand(args) {
+  const { positionals } = parseArgs({ args, allowPositionals: true });
+  if (positionals.length !== 1) {
+    throw new Error("validate-profile expects exactly one profile path");
+  }
+
+  const profile = require(path.resolve(positionals[0]));
+  const errors = validateProfile(profile);
+  if (errors.length > 0) {
+    console.error(`${positionals[0]} is invalid:\n  ${errors.join("\n  ")}`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`${positionals[0]} is valid`);
+}
+
+const commands = {
+  crawl,
+  export: exportProducts,
+  "validate-profile": validateProfileCommand,
+};
+
+async function main(argv) {
+  const [command, ...args] = argv;
+  if (!command || command === "--help" || command === "-h") {
+    console.log(usage);
+    return;
+  }
+  if (!commands[command]) {
+    throw new Error(`Unknown command "${command}"\n\n${usage}`);
+  }
+  await commands[command](args);
+}
+
+if (isMainThread) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+} else {
+  let headers = [];
+
+  runWorkerThread(async (url, options, pool, { stage, product, skipSources }) => {
+    const { profile, requestOptions, proxy, fakeHeaders, scrapeOpsKey } = options;
+    if (fakeHeaders && headers.length == 0) {
+      headers = await getHeaders(2, scrapeOpsKey);
+    }
+
+    const randomHeaders = () => headers[Math.floor(Math.random() * headers.length)];
+    const rotateHeaders = async (page) => {
+      if (fakeHeaders) {
+        await page.setExtraHTTPHeaders(randomHeaders());
+      }
+    };
+
+    return scrape(url, {
+      profile,
+      pool,
+      stage,
+      product,
+      skipSources,
+      headers: fakeHeaders ? randomHeaders() : {},
+      request: (page, url, context) => {
+        const options = { ...requestOptions, ...context, onBlocked: () => rotateHeaders(page) };
+        return proxy === "scrapeops"
+          ? makeScrapeOpsRequest(page, url, scrapeOpsKey, options)
+          : makeRequest(page, url, options);
+      },
+    });
+  });
+}
@@ -0,0 +1,174 @@
+const { chromium } = require("playwright");
+const { defaultUserAgent } = require("./request");
+
+// Shares a few long-lived Chromium processes across pages. Each lease gets a
+// fresh page in a reused context; contexts are thrown away after
+// `pagesPerContext` pages or when a lease fails, and browsers are restarted
+// after `pagesPerBrowser` pages so Chromium's memory growth stays bounded.
+// At most maxBrowsers * contextsPerBrowser pages are open at once.
+class BrowserPool {
+  constructor({
+    headless = true,
+    launchOptions = {},
+    maxBrowsers = 1,
+    contextsPerBrowser = 4,
+    pagesPerContext = 20,
+    pagesPerBrowser = 200,
+    userAgent = defaultUserAgent,
+  } = {}) {
+    this.launchOptions = { ...launchOptions, headless };
+    this.userAgent = userAgent;
+    this.maxBrowsers = maxBrowsers;
+    this.contextsPerBrowser = contextsPerBrowser;
+    this.pagesPerContext = pagesPerContext;
+    this.pagesPerBrowser = pagesPerBrowser;
+    this.browsers = [];
+    this.waiting = [];
+    this.closed = false;
+  }
+
+  async launchBrowser() {
+    const entry = { browser: null, contexts: [], pagesServed: 0, retired: false };
+    this.browsers.push(entry);
+    try {
+      entry.browser = await chromium.launch(this.launchOptions);
+    } catch (error) {
+      this.removeBrowser(entry);
+      throw error;
+    }
+    entry.browser.on("disconnected", () => {
+      entry.retired = true;
+      this.removeBrowser(entry);
+    });
+    // Others may have been waiting for this browser to have room
+    this.wakeWaiting();
+    return entry;
+  }
+
+  removeBrowser(entry) {
+    const index = this.browsers.indexOf(entry);
+    if (index !== -1) {
+      this.browsers.splice(index, 1);
+      this.wakeWaiting();
+    }
+  }
+
+  findIdleContext() {
+    for (const browserEntry of this.browsers) {
+      if (browserEntry.retired || !browserEntry.browser) {
+        continue;
+      }
+      const contextEntry = browserEntry.contexts.find((context) => !context.busy);
+      if (contextEntry) {
+        return contextEntry;
+      }
+    }
+    return null;
+  }
+
+  async createContext() {
+    let browserEntry = this.browsers.find(
+      (entry) => entry.browser && !entry.retired && entry.contexts.length < this.contextsPerBrowser
+    );
+    if (!browserEntry) {
+      if (this.browsers.length >= this.maxBrowsers) {
+        return null;
+      }
+      browserEntry = await this.launchBrowser();
+    }
+
+    const contextEntry = { context: null, browserEntry, pagesServed: 0, busy: true };
+    browserEntry.contexts.push(contextEntry);
+    try {
+      contextEntry.context = await browserEntry.browser.newContext({ userAgent: this.userAgent });
+    } catch (error) {
+      browserEntry.contexts.splice(browserEntry.contexts.indexOf(contextEntry), 1);
+      throw error;
+    }
+    return contextEntry;
+  }
+
+  async acquireContext() {
+    while (!this.closed) {
+      const idle = this.findIdleContext();
+      if (idle) {
+        idle.busy = true;
+        return idle;
+      }
+
+      const created = await this.createContext();
+      if (created) {
+        return created;
+      }
+
+      await new Promise((resolve) => this.waiting.push(resolve));
+    }
+    throw new Error("Browser pool is closed");
+  }
+
+  wakeWaiting() {
+    const waiting = this.waiting;
+    this.waiting = [];
+    for (const resolve of waiting) {
+      resolve();
+    }
+  }
+
+  async releaseContext(contextEntry, { retire = false } = {}) {
+    const { browserEntry } = contextEntry;
+    contextEntry.pagesServed += 1;
+    browserEntry.pagesServed += 1;
+    if (browserEntry.pagesServed >= this.pagesPerBrowser) {
+      browserEntry.retired = true;
+    }
+
+    contextEntry.busy = false;
+    const closing = browserEntry.contexts.filter(
+      (entry) =>
+        !entry.busy &&
+        (entry === contextEntry
+          ? retire || entry.pagesServed >= this.pagesPerContext || browserEntry.retired
+          : browserEntry.retired)
+    );
+    browserEntry.contexts = browserEntry.contexts.filter((entry) => !closing.includes(entry));
+    await Promise.all(closing.map((entry) => entry.context.close().catch(() => {})));
+
+    if (browserEntry.retired && browserEntry.contexts.length === 0) {
+      this.removeBrowser(browserEntry);
+      await browserEntry.browser.close().catch(() => {});
+    }
+    this.wakeWaiting();
+  }
+
+  // Runs fn(page, lease) on a pooled page. Call lease.retire() to throw the
+  // context away afterwards, e.g. when the site blocked it.
+  async withPage(fn, { headers = {} } = {}) {
+    const contextEntry = await this.acquireContext();
+    const lease = { retired: false, retire() { this.retired = true; } };
+
+    let page;
+    try {
+      page = await contextEntry.context.newPage();
+      await page.setExtraHTTPHeaders(headers);
+      return await fn(page, lease);
+    } catch (error) {
+      lease.retire();
+      throw error;
+    } finally {
+      if (page) {
+        await page.close().catch(() => {});
+      }
+      await this.releaseContext(contextEntry, { retire: lease.retired });
+    }
+  }
+
+  async close() {
+    this.closed = true;
+    this.wakeWaiting();
+    const browsers = this.browsers;
+    this.browsers = [];
+    await Promise.all(browsers.map((entry) => entry.browser?.close().catch(() => {})));
+  }
+}
+
+module.exports = { BrowserPool };
@@ -0,0 +1,105 @@
+const fs = require("fs");
+const { writeFileAtomic } = require("./ndjson");
+
+// Crawl state saved after every page and flush so an interrupted crawl can be
+// resumed. A page only counts as visited once every product it found has
+// reached the sinks; until then it stays pending and is crawled again on
+// resume, where the flushed product keys stop it writing anything twice.
+class Checkpoint {
+  constructor({ filename, profile = null, visited = [], pending = [], flushedProducts = [], startedAt = new Date().toISOString() }) {
+    this.filename = filename;
+    this.profile = profile;
+    // When the original run began, so a resumed run compares against it
+    this.startedAt = startedAt;
+    this.visited = new Set(visited);
+    // Pending requests by URL, so detail pages keep their listing data
+    this.pending = new Map();
+    for (const request of pending) {
+      this.urlQueued(request);
+    }
+    this.flushedProducts = new Set(flushedProducts);
+    // Crawled pages whose products are still waiting in the pipeline
+    this.unflushedPages = new Map();
+  }
+
+  static load(filename) {
+    let state;
+    try {
+      state = JSON.parse(fs.readFileSync(filename, "utf8"));
+    } catch (error) {
+      throw new Error(`Could not read checkpoint ${filename}: ${error.message}`, { cause: error });
+    }
+    return new Checkpoint({ ...state, filename });
+  }
+
+  urlQueued(request) {
+    const entry = typeof request === "string" ? { url: request } : request;
+    if (!this.visited.has(entry.url)) {
+      this.pending.set(entry.url, entry);
+    }
+  }
+
+  // Requests the page led to are recorded here too, so a crash before they
+  // reach the frontier cannot lose the rest of a listing
+  pageCrawled(url, productKeys, discovered = []) {
+    for (const request of discovered) {
+      this.urlQueued(request);
+    }
+    const unflushed = new Set(productKeys.filter((key) => !this.flushedProducts.has(key)));
+    if (unflushed.size === 0) {
+      this.markVisited(url);
+    } else {
+      this.unflushedPages.set(url, unflushed);
+    }
+    this.save();
+  }
+
+  // A page that failed stays pending so a resumed run tries it again
+  pageFailed(url, discovered = []) {
+    for (const request of discovered) {
+      this.urlQueued(request);
+    }
+    this.save();
+  }
+
+  productsFlushed(productKeys) {
+    for (const key of productKeys) {
+      this.flushedProducts.add(key);
+    }
+    for (const [url, unflushed] of this.unflushedPages) {
+      for (const key of productKeys) {
+        unflushed.delete(key);
+      }
+      if (unflushed.size === 0) {
+        this.unflushedPages.delete(url);
+        this.markVisited(url);
+      }
+    }
+    this.save();
+  }
+
+  markVisited(url) {
+    this.pending.delete(url);
+    this.visited.add(url);
+  }
+
+  save() {
+    writeFileAtomic(this.filename, JSON.stringify({
+      profile: this.profile,
+      visited: [...this.visited],
+      pending: [...this.pending.values()],
+      flushedProducts: [...this.flushedProducts],
+      startedAt: this.startedAt,
+      savedAt: new Date().toISOString(),
+    }));
+  }
+
+  // A finished crawl has nothing to resume
+  remove() {
+    if (fs.existsSync(this.filename)) {
+      fs.unlinkSync(this.filename);
+    }
+  }
+}
+
+module.exports = { Checkpoint };
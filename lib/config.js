@@ -0,0 +1,123 @@
+const fs = require("fs");
+const path = require("path");
+
+const defaultConfigFile = "scraper.config.json";
+
+// Each setting can come from the config file or from its environment
+// variable; the environment wins so secrets never need to be on disk.
+const configSections = {
+  mysql: {
+    host: { env: "MYSQL_HOST", default: "localhost" },
+    port: { env: "MYSQL_PORT", default: 3306, type: "number" },
+    user: { env: "MYSQL_USER", required: true },
+    password: { env: "MYSQL_PASSWORD", default: "" },
+    database: { env: "MYSQL_DATABASE", required: true },
+    poolSize: { env: "MYSQL_POOL_SIZE", default: 5, type: "number" },
+  },
+  postgres: {
+    host: { env: "PGHOST", default: "localhost" },
+    port: { env: "PGPORT", default: 5432, type: "number" },
+    user: { env: "PGUSER", required: true },
+    password: { env: "PGPASSWORD", default: "" },
+    database: { env: "PGDATABASE", required: true },
+    poolSize: { env: "PG_POOL_SIZE", default: 5, type: "number" },
+  },
+  s3: {
+    region: { env: "AWS_REGION", default: "us-east-1" },
+    accessKeyId: { env: "AWS_ACCESS_KEY_ID" },
+    secretAccessKey: { env: "AWS_SECRET_ACCESS_KEY" },
+    endpoint: { env: "S3_ENDPOINT" },
+    forcePathStyle: { env: "S3_FORCE_PATH_STYLE", default: false, type: "boolean" },
+    keyTemplate: { env: "S3_KEY_TEMPLATE", default: "crawls/{site}/{date}/{runId}.{ext}" },
+  },
+  scrapeOps: {
+    apiKey: { env: "SCRAPEOPS_API_KEY", required: true },
+  },
+};
+
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConfigError";
+  }
+}
+
+function loadConfig({ configFile, env = process.env } = {}) {
+  const filename = configFile || env.SCRAPER_CONFIG || defaultConfigFile;
+  const explicit = Boolean(configFile || env.SCRAPER_CONFIG);
+
+  let fileConfig = {};
+  if (fs.existsSync(filename)) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(filename, "utf8"));
+    } catch (error) {
+      throw new ConfigError(`Could not parse config file ${path.resolve(filename)}: ${error.message}`);
+    }
+  } else if (explicit) {
+    throw new ConfigError(`Config file ${path.resolve(filename)} does not exist`);
+  }
+
+  const config = {};
+  for (const [section, settings] of Object.entries(configSections)) {
+    config[section] = {};
+    for (const [key, setting] of Object.entries(settings)) {
+      const value = env[setting.env] ?? fileConfig[section]?.[key];
+      if (value !== undefined && value !== "") {
+        config[section][key] = value;
+      }
+    }
+  }
+  return config;
+}
+
+function configFor(config, section, overrides = {}) {
+  const settings = configSections[section];
+  if (!settings) {
+    throw new ConfigError(`Unknown config section "${section}"`);
+  }
+
+  const values = { ...config[section] };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined && value !== "") {
+      values[key] = value;
+    }
+  }
+
+  const problems = [];
+  for (const [key, setting] of Object.entries(settings)) {
+    if (values[key] === undefined) {
+      if (setting.required) {
+        problems.push(`${section}.${key} is missing (set ${setting.env} or add it to ${defaultConfigFile})`);
+        continue;
+      }
+      if (setting.default === undefined) {
+        continue;
+      }
+      values[key] = setting.default;
+    }
+    if (setting.type === "number") {
+      const number = Number(values[key]);
+      if (!Number.isInteger(number) || number <= 0) {
+        problems.push(`${section}.${key} must be a positive integer, got "${values[key]}"`);
+      }
+      values[key] = number;
+    }
+    if (setting.type === "boolean" && typeof values[key] !== "boolean") {
+      if (!["true", "false"].includes(values[key])) {
+        problems.push(`${section}.${key} must be true or false, got "${values[key]}"`);
+      }
+      values[key] = values[key] === "true";
+    }
+  }
+
+  if (section === "s3" && Boolean(values.accessKeyId) !== Boolean(values.secretAccessKey)) {
+    problems.push("s3.accessKeyId and s3.secretAccessKey must be set together");
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(`Invalid ${section} configuration:\n  ${problems.join("\n  ")}`);
+  }
+  return values;
+}
+
+module.exports = { ConfigError, loadConfig, configFor };
@@ -0,0 +1,48 @@
+const fs = require("fs");
+
+const BOM = "\uFEFF";
+
+function formatCsvValue(value, delimiter = ",") {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  const text = String(value);
+  if (
+    text.includes(delimiter) ||
+    text.includes('"') ||
+    text.includes("\n") ||
+    text.includes("\r")
+  ) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function formatCsvRow(values, delimiter = ",") {
+  return values.map((value) => formatCsvValue(value, delimiter)).join(delimiter) + "\r\n";
+}
+
+function formatCsv(rows, { columns, delimiter = ",", header = true, bom = false } = {}) {
+  let csv = bom ? BOM : "";
+  if (header) {
+    csv += formatCsvRow(columns, delimiter);
+  }
+  for (const row of rows) {
+    csv += formatCsvRow(columns.map((column) => row[column]), delimiter);
+  }
+  return csv;
+}
+
+function saveAsCSV(data, filename, { delimiter = ",", bom = false } = {}) {
+  if (data.length === 0) {
+    console.log("No data to save.");
+    return;
+  }
+
+  const columns = Object.keys(data[0]);
+  fs.writeFileSync(filename, formatCsv(data, { columns, delimiter, bom }));
+  console.log(`Data saved to ${filename}`);
+}
+
+module.exports = { formatCsvValue, formatCsvRow, formatCsv, saveAsCSV };
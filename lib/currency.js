@@ -0,0 +1,150 @@
+const fs = require("fs");
+const axios = require("axios");
+
+// Longer symbols first so "US$" wins over "$"
+const currencySymbols = [
+  ["US$", "USD"],
+  ["CA$", "CAD"],
+  ["C$", "CAD"],
+  ["AU$", "AUD"],
+  ["A$", "AUD"],
+  ["NZ$", "NZD"],
+  ["HK$", "HKD"],
+  ["S$", "SGD"],
+  ["£", "GBP"],
+  ["€", "EUR"],
+  ["$", "USD"],
+  ["¥", "JPY"],
+  ["₹", "INR"],
+  ["zł", "PLN"],
+  ["Kč", "CZK"],
+];
+const currencyCodes = new Set([
+  ...currencySymbols.map(([, code]) => code),
+  "CHF", "SEK", "NOK", "DKK", "CNY", "ZAR", "MXN", "BRL", "HUF", "TRY",
+]);
+// A run of digits with optional thousands groups and decimals
+const amountPattern = /\d{1,3}(?:[.,'\u00a0\u202f ]\d{3})+(?:[.,]\d+)?|\d+(?:[.,]\d+)?/;
+
+// Splits "1.234,56", "1,234.56", "1 234,56" and "12,50" into a number. A lone
+// separator followed by exactly three digits is read as a thousands separator.
+function parseAmount(text) {
+  const digits = text.replace(/[\s\u00a0\u202f']/g, "");
+  const lastDot = digits.lastIndexOf(".");
+  const lastComma = digits.lastIndexOf(",");
+  const decimalIndex = Math.max(lastDot, lastComma);
+  if (decimalIndex === -1) {
+    return parseFloat(digits);
+  }
+
+  const separator = digits[decimalIndex];
+  const decimals = digits.length - decimalIndex - 1;
+  const isDecimal =
+    (lastDot !== -1 && lastComma !== -1) ||
+    (digits.indexOf(separator) === decimalIndex && decimals !== 3);
+  if (!isDecimal) {
+    return parseFloat(digits.replace(/[.,]/g, ""));
+  }
+  return parseFloat(`${digits.slice(0, decimalIndex).replace(/[.,]/g, "")}.${digits.slice(decimalIndex + 1)}`);
+}
+
+function detectCurrency(text) {
+  const code = text.match(/\b[A-Z]{3}\b/g)?.find((match) => currencyCodes.has(match));
+  if (code) {
+    return code;
+  }
+  const symbol = currencySymbols.find(([symbol]) => text.includes(symbol));
+  return symbol ? symbol[1] : null;
+}
+
+// Reads the first price in text such as "Sale priceFrom £1,299.00" or
+// "12,50 EUR". Numbers are taken as already parsed amounts.
+function parsePrice(value, defaultCurrency = "GBP") {
+  if (typeof value === "number") {
+    return { amount: value, currency: defaultCurrency };
+  }
+
+  const text = String(value ?? "");
+  const number = text.match(amountPattern);
+  if (!number) {
+    return { amount: 0.0, currency: detectCurrency(text) || defaultCurrency };
+  }
+
+  // Look for the currency right around the number before the whole text
+  const around = text.slice(Math.max(0, number.index - 4), number.index + number[0].length + 4);
+  return {
+    amount: parseAmount(number[0]),
+    currency: detectCurrency(around) || detectCurrency(text) || defaultCurrency,
+  };
+}
+
+// Rates quoted against one base currency: 1 base = rates[code] code
+class ExchangeRates {
+  constructor({ base, date = null, rates }) {
+    if (typeof base !== "string" || !/^[A-Z]{3}$/.test(base)) {
+      throw new Error(`Exchange rates need a three-letter base currency, got "${base}"`);
+    }
+    if (!rates || typeof rates !== "object") {
+      throw new Error("Exchange rates need a rates object");
+    }
+    for (const [code, rate] of Object.entries(rates)) {
+      if (typeof rate !== "number" || !(rate > 0)) {
+        throw new Error(`Exchange rate for ${code} must be a positive number, got ${rate}`);
+      }
+    }
+    this.base = base;
+    this.date = date;
+    this.rates = { ...rates, [base]: 1 };
+  }
+
+  // Returns { amount, rate, date }, or null when either currency is unknown
+  convert(amount, from, to) {
+    if (!this.rates[from] || !this.rates[to]) {
+      return null;
+    }
+    const rate = this.rates[to] / this.rates[from];
+    return { amount: amount * rate, rate, date: this.date };
+  }
+}
+
+// A rates provider is any object with `async getRates()` resolving to
+// ExchangeRates; these cover a local file and a JSON API.
+
+// The file holds { "base": "GBP", "date": "2026-10-01", "rates": { "USD": 1.32 } }
+class FileRatesProvider {
+  constructor({ filename }) {
+    this.filename = filename;
+  }
+
+  async getRates() {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.filename, "utf8"));
+    } catch (error) {
+      throw new Error(`Could not read exchange rates from ${this.filename}: ${error.message}`, { cause: error });
+    }
+    return new ExchangeRates(data);
+  }
+}
+
+// Expects a response shaped like Frankfurter's: { base, date, rates }
+class HttpRatesProvider {
+  constructor({ url = "https://api.frankfurter.app/latest", base = "GBP", timeout = 10000 } = {}) {
+    this.url = url;
+    this.base = base;
+    this.timeout = timeout;
+  }
+
+  async getRates() {
+    let response;
+    try {
+      response = await axios.get(this.url, { params: { from: this.base }, timeout: this.timeout });
+    } catch (error) {
+      throw new Error(`Could not fetch exchange rates from ${this.url}: ${error.message}`, { cause: error });
+    }
+    const { base = this.base, date = null, rates } = response.data;
+    return new ExchangeRates({ base, date, rates });
+  }
+}
+
+module.exports = { parsePrice, ExchangeRates, FileRatesProvider, HttpRatesProvider };
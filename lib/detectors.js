@@ -0,0 +1,119 @@
+// A detector looks at a loaded page and returns a short description of the
+// block it found, or null. makeRequest runs them in order and reports the
+// first that fires.
+const detectorRegistry = new Map();
+
+function registerDetector(name, detect) {
+  detectorRegistry.set(name, { name, detect });
+}
+
+function toRegExp(pattern) {
+  return pattern instanceof RegExp ? pattern : new RegExp(pattern, "i");
+}
+
+// Builds a detector from a declarative rule, e.g. one listed in a site profile:
+// { name, status: [403], title: "Access denied", body: "captcha", selector: "#challenge" }
+function createDetector({ name, status, title, body, selector, header }) {
+  if (!name) {
+    throw new Error("Detector rules need a name");
+  }
+
+  const titlePattern = title && toRegExp(title);
+  const bodyPattern = body && toRegExp(body);
+
+  return {
+    name,
+    async detect(check) {
+      if (status && status.includes(check.status)) {
+        return `status ${check.status}`;
+      }
+      if (header) {
+        const value = await check.response.headerValue(header.name);
+        if (value !== null && (!header.value || toRegExp(header.value).test(value))) {
+          return `header ${header.name}: ${value}`;
+        }
+      }
+      if (titlePattern && titlePattern.test(await check.title())) {
+        return `title "${await check.title()}"`;
+      }
+      if (bodyPattern && bodyPattern.test(await check.content())) {
+        return `body matches ${bodyPattern}`;
+      }
+      if (selector && (await check.page.$(selector))) {
+        return `selector ${selector}`;
+      }
+      return null;
+    },
+  };
+}
+
+function resolveDetectors(detectors = []) {
+  return detectors.map((detector) => {
+    if (typeof detector === "string") {
+      if (!detectorRegistry.has(detector)) {
+        throw new Error(`Unknown block detector "${detector}"`);
+      }
+      return detectorRegistry.get(detector);
+    }
+    return typeof detector.detect === "function" ? detector : createDetector(detector);
+  });
+}
+
+async function detectBlock(detectors, { page, response, status, profile }) {
+  let content = null;
+  let title = null;
+  const check = {
+    page,
+    response,
+    status,
+    profile,
+    content: async () => (content ??= await page.content()),
+    title: async () => (title ??= await page.title()),
+  };
+
+  for (const detector of detectors) {
+    const detail = await detector.detect(check);
+    if (detail) {
+      return { detector: detector.name, detail };
+    }
+  }
+  return null;
+}
+
+for (const rule of [
+  { name: "robot-title", title: /^Robot or human\?$/ },
+  { name: "forbidden", status: [403] },
+  {
+    name: "cloudflare",
+    title: /^(Just a moment\.\.\.|Attention Required! \| Cloudflare)$/,
+    header: { name: "cf-mitigated", value: "challenge" },
+    selector: "#challenge-form, #cf-challenge-running, .cf-browser-verification",
+  },
+  {
+    name: "captcha",
+    selector: 'iframe[src*="recaptcha"], iframe[src*="hcaptcha"], iframe[src*="captcha"], .g-recaptcha, .h-captcha',
+  },
+]) {
+  const { detect } = createDetector(rule);
+  registerDetector(rule.name, detect);
+}
+
+// Opt-in: a listing page that renders without any items is usually a soft
+// block, but a genuinely empty category would trip it too
+registerDetector("empty-product-list", async ({ page, status, profile }) => {
+  if (status !== 200 || !profile) {
+    return null;
+  }
+  const items = await page.$$(profile.itemSelector);
+  return items.length === 0 ? `no ${profile.itemSelector} elements` : null;
+});
+
+const defaultDetectors = ["robot-title", "forbidden", "cloudflare", "captcha"];
+
+module.exports = {
+  registerDetector,
+  createDetector,
+  resolveDetectors,
+  detectBlock,
+  defaultDetectors,
+};
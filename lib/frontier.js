@@ -0,0 +1,47 @@
+// Requests waiting to be crawled, either a URL or { url, stage, product } for a
+// product detail page. Every URL is handed out at most once, however many
+// pages link to it.
+class Frontier {
+  constructor(requests = []) {
+    this.queue = [];
+    this.seen = new Set();
+    for (const request of requests) {
+      this.push(request);
+    }
+  }
+
+  push(request) {
+    const entry = typeof request === "string" ? { url: request } : request;
+    if (this.seen.has(entry.url)) {
+      return false;
+    }
+    this.seen.add(entry.url);
+    this.queue.push(entry);
+    return true;
+  }
+
+  // Remembers a URL crawled earlier, e.g. by a resumed run, without queueing it
+  markSeen(url) {
+    this.seen.add(url);
+  }
+
+  has(url) {
+    return this.seen.has(url);
+  }
+
+  // Takes the first request whose URL isReady(url) accepts, or null if none does
+  next(isReady = () => true) {
+    const index = this.queue.findIndex(({ url }) => isReady(url));
+    return index === -1 ? null : this.queue.splice(index, 1)[0];
+  }
+
+  pending() {
+    return [...this.queue];
+  }
+
+  get size() {
+    return this.queue.length;
+  }
+}
+
+module.exports = { Frontier };
@@ -0,0 +1,74 @@
+const { Product, productSchema } = require("./product");
+const { ProductDataPipeline } = require("./pipeline");
+const { parsePrice, ExchangeRates, FileRatesProvider, HttpRatesProvider } = require("./currency");
+const sinks = require("./sinks");
+const { migrations, migrate, checkUniqueUrl } = require("./migrations");
+const { ConfigError, loadConfig, configFor } = require("./config");
+const { loadProfile, validateProfile, defaultProfile } = require("./profile");
+const { formatCsv, saveAsCSV } = require("./csv");
+const { formatNdjson, readNdjson, writeFileAtomic } = require("./ndjson");
+const { registerDetector, createDetector, defaultDetectors } = require("./detectors");
+const { makeRequest, makeScrapeOpsRequest, getHeaders } = require("./request");
+const { Politeness, RateLimiter, parseRobotsTxt } = require("./politeness");
+const { fromJsonLd, fromShopifyProduct } = require("./structuredData");
+const { BrowserPool } = require("./browserPool");
+const { extractProducts, extractDetails, shopifyJsonUrl, nextPage, scrape, crawlSequentially } = require("./scraper");
+const { productRules, validateProduct, QualityReport } = require("./validation");
+const { Frontier } = require("./frontier");
+const { Checkpoint } = require("./checkpoint");
+const { eventTypes, payloadFormats, WebhookNotifier } = require("./webhooks");
+const { isMainThread, runMainThread, runWorkerThread } = require("./workers");
+
+module.exports = {
+  Product,
+  productSchema,
+  ProductDataPipeline,
+  parsePrice,
+  ExchangeRates,
+  FileRatesProvider,
+  HttpRatesProvider,
+  ...sinks,
+  migrations,
+  migrate,
+  checkUniqueUrl,
+  ConfigError,
+  loadConfig,
+  configFor,
+  loadProfile,
+  validateProfile,
+  defaultProfile,
+  formatCsv,
+  saveAsCSV,
+  formatNdjson,
+  readNdjson,
+  writeFileAtomic,
+  registerDetector,
+  createDetector,
+  defaultDetectors,
+  makeRequest,
+  makeScrapeOpsRequest,
+  getHeaders,
+  Politeness,
+  RateLimiter,
+  parseRobotsTxt,
+  fromJsonLd,
+  fromShopifyProduct,
+  BrowserPool,
+  extractProducts,
+  extractDetails,
+  shopifyJsonUrl,
+  nextPage,
+  scrape,
+  crawlSequentially,
+  productRules,
+  validateProduct,
+  QualityReport,
+  Frontier,
+  Checkpoint,
+  eventTypes,
+  payloadFormats,
+  WebhookNotifier,
+  isMainThread,
+  runMainThread,
+  runWorkerThread,
+};
@@ -0,0 +1,221 @@
+// Append new migrations to the end; never edit one that has shipped.
+const migrations = [
+  {
+    version: 1,
+    name: "create_chocolate_products",
+    // Matches the layout older setups created by hand, so it is a no-op there
+    mysql: [
+      `CREATE TABLE IF NOT EXISTS chocolate_products (
+        name VARCHAR(255),
+        price_gb DECIMAL(10, 2),
+        price_usd DECIMAL(10, 2),
+        url VARCHAR(767)
+      ) DEFAULT CHARSET = utf8mb4`,
+    ],
+    postgres: [
+      `CREATE TABLE IF NOT EXISTS chocolate_products (
+        name VARCHAR(255),
+        price_gb NUMERIC(10, 2),
+        price_usd NUMERIC(10, 2),
+        url VARCHAR(767)
+      )`,
+    ],
+    sqlite: [
+      `CREATE TABLE IF NOT EXISTS chocolate_products (
+        name TEXT,
+        price_gb REAL,
+        price_usd REAL,
+        url TEXT
+      )`,
+    ],
+  },
+  {
+    version: 2,
+    name: "unique_chocolate_products_url",
+    // Rows duplicated by runs before upserts existed would block the index.
+    // MySQL and SQLite keep the most recently inserted row for each url;
+    // Postgres has no insertion order, so it keeps the row stored last, which
+    // is only the newest if no UPDATE or VACUUM has moved rows since.
+    mysql: [
+      "DROP TABLE IF EXISTS chocolate_products_dedup",
+      "CREATE TABLE chocolate_products_dedup LIKE chocolate_products",
+      "ALTER TABLE chocolate_products_dedup ADD UNIQUE INDEX chocolate_products_url_key (url)",
+      // InnoDB scans a table without a primary key in insertion order, so
+      // REPLACE leaves the last copy of each url
+      "REPLACE INTO chocolate_products_dedup SELECT * FROM chocolate_products",
+      "RENAME TABLE chocolate_products TO chocolate_products_old, chocolate_products_dedup TO chocolate_products",
+      "DROP TABLE chocolate_products_old",
+    ],
+    postgres: [
+      `DELETE FROM chocolate_products a USING chocolate_products b
+        WHERE a.url = b.url AND a.ctid < b.ctid`,
+      "CREATE UNIQUE INDEX IF NOT EXISTS chocolate_products_url_key ON chocolate_products (url)",
+    ],
+    sqlite: [
+      `DELETE FROM chocolate_products
+        WHERE rowid NOT IN (SELECT MAX(rowid) FROM chocolate_products GROUP BY url)`,
+      "CREATE UNIQUE INDEX IF NOT EXISTS chocolate_products_url_key ON chocolate_products (url)",
+    ],
+  },
+  {
+    version: 3,
+    name: "add_scraped_at_and_source",
+    mysql: [
+      `ALTER TABLE chocolate_products
+        ADD COLUMN scraped_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        ADD COLUMN source VARCHAR(255) NULL`,
+    ],
+    postgres: [
+      `ALTER TABLE chocolate_products
+        ADD COLUMN IF NOT EXISTS scraped_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        ADD COLUMN IF NOT EXISTS source VARCHAR(255)`,
+    ],
+    // SQLite cannot add a column with a non-constant default
+    sqlite: [
+      "ALTER TABLE chocolate_products ADD COLUMN scraped_at TEXT",
+      "ALTER TABLE chocolate_products ADD COLUMN source TEXT",
+    ],
+  },
+  {
+    version: 4,
+    name: "add_price_details",
+    // Rates dates are kept as the provider wrote them
+    mysql: [
+      `ALTER TABLE chocolate_products
+        ADD COLUMN price DECIMAL(12, 2) NULL,
+        ADD COLUMN currency CHAR(3) NULL,
+        ADD COLUMN compare_at_price DECIMAL(12, 2) NULL,
+        ADD COLUMN discount_percent DECIMAL(5, 1) NULL,
+        ADD COLUMN is_from_price BOOLEAN NULL,
+        ADD COLUMN exchange_rate_gb DOUBLE NULL,
+        ADD COLUMN exchange_rate_usd DOUBLE NULL,
+        ADD COLUMN exchange_rate_date VARCHAR(32) NULL`,
+    ],
+    postgres: [
+      `ALTER TABLE chocolate_products
+        ADD COLUMN IF NOT EXISTS price NUMERIC(12, 2),
+        ADD COLUMN IF NOT EXISTS currency CHAR(3),
+        ADD COLUMN IF NOT EXISTS compare_at_price NUMERIC(12, 2),
+        ADD COLUMN IF NOT EXISTS discount_percent NUMERIC(5, 1),
+        ADD COLUMN IF NOT EXISTS is_from_price BOOLEAN,
+        ADD COLUMN IF NOT EXISTS exchange_rate_gb DOUBLE PRECISION,
+        ADD COLUMN IF NOT EXISTS exchange_rate_usd DOUBLE PRECISION,
+        ADD COLUMN IF NOT EXISTS exchange_rate_date VARCHAR(32)`,
+    ],
+    sqlite: [
+      "ALTER TABLE chocolate_products ADD COLUMN price REAL",
+      "ALTER TABLE chocolate_products ADD COLUMN currency TEXT",
+      "ALTER TABLE chocolate_products ADD COLUMN compare_at_price REAL",
+      "ALTER TABLE chocolate_products ADD COLUMN discount_percent REAL",
+      "ALTER TABLE chocolate_products ADD COLUMN is_from_price INTEGER",
+      "ALTER TABLE chocolate_products ADD COLUMN exchange_rate_gb REAL",
+      "ALTER TABLE chocolate_products ADD COLUMN exchange_rate_usd REAL",
+      "ALTER TABLE chocolate_products ADD COLUMN exchange_rate_date TEXT",
+    ],
+  },
+];
+
+const dialects = {
+  mysql: {
+    lock: "SELECT GET_LOCK('chocolate_products_migrations', 60) AS acquired",
+    unlock: "SELECT RELEASE_LOCK('chocolate_products_migrations')",
+    recordVersion: "INSERT INTO {table} (version, name) VALUES (?, ?)",
+    uniqueUrlIndex: `SELECT index_name FROM information_schema.statistics
+      WHERE table_schema = DATABASE() AND table_name = 'chocolate_products'
+      GROUP BY index_name HAVING MAX(non_unique) = 0 AND COUNT(*) = 1 AND MAX(column_name) = 'url'`,
+    // MySQL commits DDL implicitly, so a transaction would not protect it
+    transactional: false,
+  },
+  postgres: {
+    lock: "SELECT true AS acquired, pg_advisory_lock(hashtext('chocolate_products_migrations'))",
+    unlock: "SELECT pg_advisory_unlock(hashtext('chocolate_products_migrations'))",
+    recordVersion: "INSERT INTO {table} (version, name) VALUES ($1, $2)",
+    uniqueUrlIndex: `SELECT i.indexrelid FROM pg_index i
+      JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = i.indkey[0]
+      WHERE i.indrelid = to_regclass('chocolate_products') AND i.indisunique AND i.indnatts = 1
+        AND a.attname = 'url'`,
+    transactional: true,
+  },
+  sqlite: {
+    // BEGIN takes SQLite's own database lock, so no advisory lock is needed
+    lock: "SELECT 1 AS acquired",
+    unlock: "SELECT 1",
+    recordVersion: "INSERT INTO {table} (version, name) VALUES (?, ?)",
+    uniqueUrlIndex: `SELECT list.name FROM pragma_index_list('chocolate_products') AS list
+      JOIN pragma_index_info(list.name) AS info
+      WHERE list."unique" = 1 GROUP BY list.name HAVING COUNT(*) = 1 AND MAX(info.name) = 'url'`,
+    transactional: true,
+  },
+};
+
+// `query(sql, params)` must run every statement on the same connection and
+// resolve to the result rows. Another set of migrations, such as a separate
+// store's, records what it applied in its own `table`.
+async function migrate(dialect, query, {
+  migrations: pending = migrations,
+  table = "chocolate_products_migrations",
+} = {}) {
+  const { lock, unlock, transactional } = dialects[dialect];
+  const recordVersion = dialects[dialect].recordVersion.replace("{table}", table);
+
+  const [{ acquired }] = await query(lock);
+  if (!acquired) {
+    throw new Error(`Timed out waiting for the ${dialect} migration lock`);
+  }
+
+  try {
+    await query(
+      `CREATE TABLE IF NOT EXISTS ${table} (
+        version INT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )`
+    );
+    const applied = new Set((await query(`SELECT version FROM ${table}`)).map((row) => row.version));
+
+    for (const migration of pending) {
+      if (applied.has(migration.version)) {
+        continue;
+      }
+
+      console.log(`Applying ${dialect} migration ${migration.version} ${migration.name}`);
+      try {
+        if (transactional) {
+          await query("BEGIN");
+        }
+        for (const statement of migration[dialect]) {
+          await query(statement);
+        }
+        await query(recordVersion, [migration.version, migration.name]);
+        if (transactional) {
+          await query("COMMIT");
+        }
+      } catch (error) {
+        if (transactional) {
+          await query("ROLLBACK").catch(() => {});
+        }
+        throw new Error(
+          `${dialect} migration ${migration.version} ${migration.name} failed: ${error.message}`,
+          { cause: error }
+        );
+      }
+    }
+  } finally {
+    await query(unlock);
+  }
+}
+
+// Upserts need a unique index on url: without one Postgres and SQLite reject
+// every batch and MySQL quietly inserts duplicates. Sinks that skip
+// migrations check for it instead.
+async function checkUniqueUrl(dialect, query) {
+  const rows = await query(dialects[dialect].uniqueUrlIndex);
+  if (rows.length === 0) {
+    throw new Error(
+      "chocolate_products needs a unique index on url for upserts; " +
+      "open the sink with runMigrations enabled to create it"
+    );
+  }
+}
+
+module.exports = { migrations, migrate, checkUniqueUrl };
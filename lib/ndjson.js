@@ -0,0 +1,76 @@
+const fs = require("fs");
+
+function formatNdjson(records) {
+  return records.map((record) => JSON.stringify(record) + "\n").join("");
+}
+
+function readNdjson(filename) {
+  if (!fs.existsSync(filename)) {
+    return [];
+  }
+
+  const records = [];
+  const lines = fs.readFileSync(filename, "utf8").split("\n");
+  for (const [index, line] of lines.entries()) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      // A crash mid-append can only truncate the final line
+      if (index < lines.length - 1 && lines.slice(index + 1).some((rest) => rest.trim())) {
+        throw new Error(`Invalid JSON on line ${index + 1} of ${filename}: ${error.message}`);
+      }
+      console.error(`Skipping truncated last line of ${filename}`);
+    }
+  }
+  return records;
+}
+
+// Makes a file a crash left mid-append safe to append to again: a last line
+// that is a whole record only gets its newline, anything else is cut off
+function repairLastLine(filename) {
+  if (!fs.existsSync(filename)) {
+    return;
+  }
+
+  const fd = fs.openSync(filename, "r+");
+  try {
+    const { size } = fs.fstatSync(fd);
+    const chunk = Buffer.alloc(64 * 1024);
+    let lineStart = 0;
+    for (let end = size; end > 0; end -= chunk.length) {
+      const start = Math.max(0, end - chunk.length);
+      fs.readSync(fd, chunk, 0, end - start, start);
+      const newline = chunk.subarray(0, end - start).lastIndexOf("\n");
+      if (newline !== -1) {
+        lineStart = start + newline + 1;
+        break;
+      }
+    }
+    if (lineStart === size) {
+      return;
+    }
+
+    const last = Buffer.alloc(size - lineStart);
+    fs.readSync(fd, last, 0, last.length, lineStart);
+    try {
+      JSON.parse(last.toString("utf8"));
+      fs.writeSync(fd, "\n", size);
+    } catch (error) {
+      console.error(`Dropping truncated last line of ${filename}`);
+      fs.ftruncateSync(fd, lineStart);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function writeFileAtomic(filename, data) {
+  const tmpFilename = `${filename}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFilename, data);
+  fs.renameSync(tmpFilename, filename);
+}
+
+module.exports = { formatNdjson, readNdjson, repairLastLine, writeFileAtomic };
@@ -0,0 +1,182 @@
+const { Product } = require("./product");
+const { defaultProfile } = require("./profile");
+const { ExchangeRates } = require("./currency");
+const { productRules, validateProduct, QualityReport } = require("./validation");
+
+class ProductDataPipeline {
+  constructor({
+    sinks = [],
+    storageQueueLimit = 5,
+    baseUrl = defaultProfile.baseUrl,
+    conversionRate = 1.32,
+    rates = null,
+    currency = "GBP",
+    currencies = ["USD"],
+    rules = productRules,
+    dropInvalid = false,
+  } = {}) {
+    this.seenProducts = new Set();
+    this.storageQueue = [];
+    this.sinks = [];
+    this.opened = null;
+    // Sinks whose open() succeeded, the ones close() has to close
+    this.openSinks = [];
+    this.pendingFlushes = new Set();
+    // The first failed batch, rethrown by close() even if nobody awaited it
+    this.flushError = null;
+    this.flushListeners = [];
+    this.rules = rules;
+    this.dropInvalid = dropInvalid;
+    this.quality = new QualityReport();
+    this.storageQueueLimit = storageQueueLimit;
+    this.baseUrl = baseUrl;
+    // Without a rates table, fall back to the fixed GBP to USD rate
+    this.pricing = {
+      rates: rates || new ExchangeRates({ base: "GBP", rates: { USD: conversionRate } }),
+      currency,
+      currencies,
+    };
+
+    for (const sink of sinks) {
+      this.addSink(sink);
+    }
+  }
+
+  addSink(sink) {
+    if (this.opened) {
+      throw new Error("Sinks must be added before the pipeline is opened");
+    }
+    this.sinks.push(sink);
+    return this;
+  }
+
+  // Calls listener(products) once products are written to every sink, or
+  // dropped as invalid, so nothing waits on them
+  onFlush(listener) {
+    this.flushListeners.push(listener);
+    return this;
+  }
+
+  open() {
+    if (!this.opened) {
+      this.opened = (async () => {
+        for (const sink of this.sinks) {
+          await sink.open();
+          this.openSinks.push(sink);
+        }
+      })();
+    }
+    return this.opened;
+  }
+
+  flush() {
+    // Take the batch before awaiting so products added meanwhile aren't lost
+    const products = this.storageQueue;
+    this.storageQueue = [];
+
+    const flushing = this.writeBatch(products);
+    this.pendingFlushes.add(flushing);
+    flushing.then(
+      () => this.pendingFlushes.delete(flushing),
+      (error) => {
+        this.pendingFlushes.delete(flushing);
+        this.flushError ??= error;
+      }
+    );
+    return flushing;
+  }
+
+  async writeBatch(products) {
+    await this.open();
+    for (const sink of this.sinks) {
+      await sink.write(products);
+    }
+    for (const listener of this.flushListeners) {
+      listener(products);
+    }
+  }
+
+  cleanRawProduct(rawProduct) {
+    const product = new Product(
+      rawProduct.name,
+      rawProduct.price,
+      rawProduct.url,
+      this.pricing,
+      this.baseUrl,
+      rawProduct.compareAtPrice
+    );
+    if (rawProduct.details) {
+      product.addDetails(rawProduct.details, this.pricing, this.baseUrl);
+    }
+    return product;
+  }
+
+  isDuplicateProduct(product) {
+    if (!this.seenProducts.has(product.url)) {
+      this.seenProducts.add(product.url);
+      return false;
+    }
+    return true;
+  }
+
+  async addProduct(rawProduct) {
+    await this.queueProduct(this.cleanRawProduct(rawProduct));
+  }
+
+  // Records rule violations in the quality report; invalid products are only
+  // kept out of the sinks with dropInvalid
+  validateProduct(product) {
+    const errors = validateProduct(product, this.rules);
+    this.quality.recordProduct(product, errors);
+    if (errors.length > 0 && this.dropInvalid) {
+      for (const listener of this.flushListeners) {
+        listener([product]);
+      }
+      return false;
+    }
+    return true;
+  }
+
+  async queueProduct(product) {
+    if (!this.isDuplicateProduct(product) && this.validateProduct(product)) {
+      this.storageQueue.push(product);
+      if (this.storageQueue.length >= this.storageQueueLimit) {
+        await this.flush();
+      }
+    }
+  }
+
+  // `complete` tells sinks whether the run saw everything it meant to; a
+  // failed batch means it didn't, and close() rethrows that failure. A run
+  // that found no listing items hasn't seen the catalog, whatever the caller
+  // says.
+  async close({ complete = true, catalogSeen = complete } = {}) {
+    if (this.storageQueue.length > 0) {
+      // A failed batch is kept in flushError
+      await this.flush().catch(() => {});
+    }
+    // Batches flushed by addProduct calls nobody awaited may still be in
+    // flight
+    await Promise.allSettled(this.pendingFlushes);
+    const openError = await this.open().then(() => null, (error) => error);
+
+    // Sinks close in order, as some read what earlier ones wrote on close,
+    // and every sink that opened is closed even when another one fails
+    const finished = complete && !this.flushError && !openError;
+    let closeError = null;
+    for (const sink of this.openSinks) {
+      try {
+        await sink.close({ complete: finished, catalogSeen: finished && catalogSeen && this.quality.items > 0 });
+      } catch (error) {
+        closeError ??= error;
+      }
+    }
+
+    const error = this.flushError ?? openError ?? closeError;
+    if (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = { ProductDataPipeline };
@@ -0,0 +1,259 @@
+const axios = require("axios");
+const { sleep, defaultUserAgent } = require("./request");
+
+// Turns a robots.txt path pattern into a RegExp: `*` matches anything and a
+// trailing `$` anchors the end, as in RFC 9309.
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
+
+function parseRobotsTxt(text, userAgent = "*") {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*/, "").trim();
+    const separator = line.indexOf(":");
+    if (separator === -1) {
+      continue;
+    }
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === "user-agent") {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) {
+      continue;
+    }
+
+    if ((field === "allow" || field === "disallow") && value) {
+      current.rules.push({ allow: field === "allow", pattern: value, regExp: patternToRegExp(value) });
+    } else if (field === "crawl-delay" && !Number.isNaN(Number(value))) {
+      current.crawlDelay = Number(value);
+    }
+  }
+
+  const agent = userAgent.toLowerCase();
+  let matching = groups.filter((group) => group.agents.some((name) => name !== "*" && agent.includes(name)));
+  if (matching.length === 0) {
+    matching = groups.filter((group) => group.agents.includes("*"));
+  }
+
+  const rules = matching.flatMap((group) => group.rules);
+  const delays = matching.map((group) => group.crawlDelay).filter((delay) => delay !== null);
+
+  return {
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+    isAllowed(path) {
+      // The longest matching pattern wins; Allow wins a tie
+      let best = null;
+      for (const rule of rules) {
+        if (!rule.regExp.test(path)) {
+          continue;
+        }
+        if (
+          !best ||
+          rule.pattern.length > best.pattern.length ||
+          (rule.pattern.length === best.pattern.length && rule.allow)
+        ) {
+          best = rule;
+        }
+      }
+      return best ? best.allow : true;
+    },
+  };
+}
+
+const allowAll = parseRobotsTxt("");
+// Stands in for a robots.txt that couldn't be fetched
+const unavailable = { ...parseRobotsTxt("User-agent: *\nDisallow: /"), unavailable: true };
+
+// A missing robots.txt (4xx) allows everything. One that can't be fetched
+// because of a server or network error disallows everything, as RFC 9309
+// requires, until it is fetched again after `retryDelay`.
+class RobotsCache {
+  constructor({ userAgent = defaultUserAgent, timeout = 10000, retryDelay = 60000 } = {}) {
+    this.userAgent = userAgent;
+    this.timeout = timeout;
+    this.retryDelay = retryDelay;
+    this.byOrigin = new Map();
+  }
+
+  async fetchRobots(origin) {
+    try {
+      const response = await axios.get(`${origin}/robots.txt`, {
+        headers: { "user-agent": this.userAgent },
+        timeout: this.timeout,
+        responseType: "text",
+        validateStatus: () => true,
+      });
+      if (response.status >= 200 && response.status < 300) {
+        return parseRobotsTxt(String(response.data), this.userAgent);
+      }
+      if (response.status < 500) {
+        return allowAll;
+      }
+      console.log(`robots.txt for ${origin} returned ${response.status}, treating every path as disallowed`);
+    } catch (error) {
+      console.log(`Could not fetch robots.txt for ${origin}, treating every path as disallowed: ${error.message}`);
+    }
+    return unavailable;
+  }
+
+  get(url) {
+    const { origin } = new URL(url);
+    const cached = this.byOrigin.get(origin);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.robots;
+    }
+
+    const entry = { expiresAt: Infinity, robots: null };
+    entry.robots = this.fetchRobots(origin).then((robots) => {
+      if (robots.unavailable) {
+        entry.expiresAt = Date.now() + this.retryDelay;
+      }
+      return robots;
+    });
+    this.byOrigin.set(origin, entry);
+    return entry.robots;
+  }
+
+  // Milliseconds until the robots.txt for url's origin is fetched again, or
+  // null when the last fetch succeeded
+  retryTime(url) {
+    const entry = this.byOrigin.get(new URL(url).origin);
+    return entry && entry.expiresAt !== Infinity ? Math.max(0, entry.expiresAt - Date.now()) : null;
+  }
+}
+
+// A token bucket per host, refilled at requestsPerSecond up to burst, plus a
+// minimum gap between requests taken from `delay` or the host's Crawl-delay.
+class RateLimiter {
+  constructor({ requestsPerSecond = 1, burst = 1, delay = 0 } = {}) {
+    this.requestsPerSecond = requestsPerSecond;
+    this.burst = burst;
+    this.delay = delay;
+    this.hosts = new Map();
+  }
+
+  hostState(url, now = Date.now()) {
+    const { host } = new URL(url);
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { tokens: this.burst, refilledAt: now, lastRequestAt: -Infinity, delay: this.delay });
+    }
+    return this.hosts.get(host);
+  }
+
+  setHostDelay(url, delay) {
+    const state = this.hostState(url);
+    state.delay = Math.max(this.delay, delay);
+  }
+
+  refill(state, now) {
+    const elapsed = Math.max(0, now - state.refilledAt) / 1000;
+    state.tokens = Math.min(this.burst, state.tokens + elapsed * this.requestsPerSecond);
+    state.refilledAt = now;
+  }
+
+  // Milliseconds until a request to url may go out
+  waitTime(url, now = Date.now()) {
+    const state = this.hostState(url, now);
+    this.refill(state, now);
+    const tokenWait = state.tokens >= 1 ? 0 : ((1 - state.tokens) / this.requestsPerSecond) * 1000;
+    const delayWait = Math.max(0, state.lastRequestAt + state.delay - now);
+    return Math.ceil(Math.max(tokenWait, delayWait));
+  }
+
+  // Takes a token and returns true if a request to url may go out now
+  tryAcquire(url, now = Date.now()) {
+    if (this.waitTime(url, now) > 0) {
+      return false;
+    }
+    const state = this.hostState(url, now);
+    state.tokens -= 1;
+    state.lastRequestAt = now;
+    return true;
+  }
+
+  async acquire(url) {
+    while (!this.tryAcquire(url)) {
+      await sleep(this.waitTime(url));
+    }
+  }
+
+  // Counts a request that goes out without waiting its turn, such as one a
+  // page makes for itself; later requests to the host wait for it instead
+  charge(url, now = Date.now()) {
+    const state = this.hostState(url, now);
+    this.refill(state, now);
+    state.tokens -= 1;
+    state.lastRequestAt = now;
+  }
+}
+
+class Politeness {
+  constructor({ requestsPerSecond, burst, delay, respectRobots = true, userAgent } = {}) {
+    this.limiter = new RateLimiter({ requestsPerSecond, burst, delay });
+    this.robots = respectRobots ? new RobotsCache({ userAgent }) : null;
+  }
+
+  // Resolves false for URLs robots.txt disallows, logging those it really
+  // rules out; robotsRetryTime() tells the two apart
+  async isAllowed(url) {
+    if (!this.robots) {
+      return true;
+    }
+
+    const robots = await this.robots.get(url);
+    if (robots.crawlDelay !== null) {
+      this.limiter.setHostDelay(url, robots.crawlDelay * 1000);
+    }
+
+    const { pathname, search } = new URL(url);
+    if (!robots.isAllowed(pathname + search)) {
+      if (!robots.unavailable) {
+        console.log(`Skipping ${url}, disallowed by robots.txt`);
+      }
+      return false;
+    }
+    return true;
+  }
+
+  // Milliseconds until an unavailable robots.txt for url is fetched again, or
+  // null when it was fetched and isAllowed() was its answer
+  robotsRetryTime(url) {
+    return this.robots ? this.robots.retryTime(url) : null;
+  }
+
+  waitTime(url) {
+    return this.limiter.waitTime(url);
+  }
+
+  tryAcquire(url) {
+    return this.limiter.tryAcquire(url);
+  }
+
+  acquire(url) {
+    return this.limiter.acquire(url);
+  }
+
+  charge(url) {
+    this.limiter.charge(url);
+  }
+}
+
+module.exports = { parseRobotsTxt, RobotsCache, RateLimiter, Politeness };
@@ -0,0 +1,193 @@
+const { defaultProfile } = require("./profile");
+const { parsePrice, ExchangeRates } = require("./currency");
+
+// The fields every sink stores, in column order. Converted prices and their
+// rates are left out when the rates table lacks the currency, and the rates
+// date when the table has none.
+const productSchema = {
+  name: { type: "string" },
+  price: { type: "number", optional: true, exclusiveMin: 0 },
+  currency: { type: "string", optional: true, format: "currency" },
+  compareAtPrice: { type: "number", optional: true, exclusiveMin: 0 },
+  discountPercent: { type: "number", optional: true, min: 0, max: 100 },
+  isFromPrice: { type: "boolean", optional: true },
+  priceGb: { type: "number", optional: true, exclusiveMin: 0 },
+  priceUsd: { type: "number", optional: true, exclusiveMin: 0 },
+  exchangeRateGb: { type: "number", optional: true, exclusiveMin: 0 },
+  exchangeRateUsd: { type: "number", optional: true, exclusiveMin: 0 },
+  exchangeRateDate: { type: "string", optional: true },
+  url: { type: "string", format: "url" },
+};
+
+// `pricing` is { rates, currency, currencies }: the ExchangeRates to convert
+// with, the currency of prices that don't show one, and the currencies to
+// record converted prices in. A plain number is the old fixed GBP to USD rate.
+function normalizePricing(pricing) {
+  if (typeof pricing === "number") {
+    return { rates: new ExchangeRates({ base: "GBP", rates: { USD: pricing } }), currency: "GBP", currencies: ["USD"] };
+  }
+  return { currency: "GBP", currencies: ["USD"], ...pricing };
+}
+
+// Currency pairs already reported as missing from the rates table
+const missingRates = new Set();
+
+class Product {
+  constructor(name, priceStr, url, pricing = 1.32, baseUrl = defaultProfile.baseUrl, compareAtPriceStr = null) {
+    pricing = normalizePricing(pricing);
+    this.name = this.cleanName(name);
+    this.priceGb = null;
+    this.priceUsd = null;
+    this.url = this.createAbsoluteUrl(url, baseUrl);
+
+    const { current, regular, isFromPrice } = this.splitPriceLabels(priceStr);
+    this.setPrice(this.cleanPrice(current, pricing.currency), pricing);
+    this.setCompareAtPrice(compareAtPriceStr ?? regular, pricing);
+    this.isFromPrice = isFromPrice;
+  }
+
+  cleanName(name) {
+    return name?.trim() || "missing";
+  }
+
+  // Returns { amount, currency }; structured data gives plain numbers
+  cleanPrice(price, currency = "GBP") {
+    return parsePrice(price, currency);
+  }
+
+  // Listing prices read like "Sale price£5.95", "Sale priceFrom £5.95" or,
+  // when the selector covers the whole price list, "Sale price£5.95 Regular
+  // price£7.00". "Sale price" labels every price, discounted or not.
+  splitPriceLabels(priceStr) {
+    if (typeof priceStr !== "string") {
+      return { current: priceStr, regular: null, isFromPrice: false };
+    }
+
+    const regularAt = priceStr.search(/Regular price/i);
+    let current = regularAt === -1 ? priceStr : priceStr.slice(0, regularAt);
+    let regular = regularAt === -1 ? null : priceStr.slice(regularAt);
+    if (!/\d/.test(current)) {
+      current = regular;
+      regular = null;
+    }
+    return { current, regular, isFromPrice: /from(?=\s|[^a-z])/i.test(current ?? "") };
+  }
+
+  calculateDiscount(price, compareAtPrice) {
+    return compareAtPrice ? Math.round(((compareAtPrice - price) / compareAtPrice) * 1000) / 10 : null;
+  }
+
+  // Only a compare-at price above the current price is a discount
+  cleanCompareAtPrice(compareAtPrice, price, currency, rates) {
+    if (compareAtPrice === undefined || compareAtPrice === null || compareAtPrice === "") {
+      return null;
+    }
+    const parsed = this.cleanPrice(compareAtPrice, currency);
+    const amount = parsed.currency === currency
+      ? parsed.amount
+      : this.convertPrice(parsed.amount, parsed.currency, currency, rates);
+    return amount > price ? amount : null;
+  }
+
+  setCompareAtPrice(compareAtPrice, { rates }) {
+    this.compareAtPrice = this.cleanCompareAtPrice(compareAtPrice, this.price, this.currency, rates);
+    this.discountPercent = this.calculateDiscount(this.price, this.compareAtPrice);
+  }
+
+  convertPrice(amount, from, to, rates) {
+    return rates.convert(amount, from, to)?.amount ?? null;
+  }
+
+  // priceGb and priceUsd, with the rates behind them, stay for the sinks with
+  // fixed columns
+  setPrice({ amount, currency }, { rates, currencies }) {
+    const gb = rates.convert(amount, currency, "GBP");
+    const usd = rates.convert(amount, currency, "USD");
+    this.priceGb = gb?.amount ?? null;
+    this.priceUsd = usd?.amount ?? null;
+    this.exchangeRateGb = gb?.rate ?? null;
+    this.exchangeRateUsd = usd?.rate ?? null;
+    this.exchangeRateDate = (gb ?? usd)?.date ?? null;
+    this.price = amount;
+    this.currency = currency;
+    this.prices = {};
+    this.exchangeRates = {};
+    for (const target of currencies) {
+      const converted = rates.convert(amount, currency, target);
+      if (converted) {
+        this.prices[target] = converted.amount;
+        this.exchangeRates[target] = { rate: converted.rate, date: converted.date };
+      } else if (!missingRates.has(`${currency}:${target}`)) {
+        missingRates.add(`${currency}:${target}`);
+        console.log(`No exchange rate from ${currency} to ${target}, leaving those prices out`);
+      }
+    }
+  }
+
+  cleanSku(sku) {
+    return sku === undefined || sku === null ? null : String(sku).trim() || null;
+  }
+
+  cleanAvailability(availability) {
+    if (!availability?.trim()) {
+      return null;
+    }
+    if (/out of stock|sold out|unavailable|OutOfStock/i.test(availability)) {
+      return "out_of_stock";
+    }
+    if (/in stock|available|InStock|add to (cart|basket)/i.test(availability)) {
+      return "in_stock";
+    }
+    return availability.trim();
+  }
+
+  // Details come from the product's own page and replace the listing's name
+  // and price when it has them; variants without a price of their own keep
+  // the product price. `details.sources` names where each field came from.
+  addDetails(details, pricing = 1.32, baseUrl = defaultProfile.baseUrl) {
+    pricing = normalizePricing(pricing);
+    if (details.name) {
+      this.name = this.cleanName(details.name);
+    }
+    if (details.price !== undefined && details.price !== null) {
+      this.setPrice(this.cleanPrice(details.price, details.currency ?? this.currency), pricing);
+      this.setCompareAtPrice(details.compareAtPrice, pricing);
+    }
+    this.description = details.description?.replace(/\s+/g, " ").trim() || null;
+    this.sku = this.cleanSku(details.sku);
+    this.availability = this.cleanAvailability(details.availability);
+    this.variants = (details.variants || []).map((variant) => {
+      const { amount, currency } = variant.price !== undefined && variant.price !== null
+        ? this.cleanPrice(variant.price, variant.currency ?? this.currency)
+        : { amount: this.price, currency: this.currency };
+      const compareAtPrice = variant.price !== undefined && variant.price !== null
+        ? this.cleanCompareAtPrice(variant.compareAtPrice, amount, currency, pricing.rates)
+        : this.compareAtPrice;
+      return {
+        name: this.cleanName(variant.name),
+        sku: this.cleanSku(variant.sku),
+        price: amount,
+        currency,
+        priceGb: this.convertPrice(amount, currency, "GBP", pricing.rates),
+        priceUsd: this.convertPrice(amount, currency, "USD", pricing.rates),
+        compareAtPrice,
+        discountPercent: this.calculateDiscount(amount, compareAtPrice),
+        availability: this.cleanAvailability(variant.availability),
+      };
+    });
+    // Variants at different prices make the product price a "From" price
+    if (new Set(this.variants.map((variant) => variant.price)).size > 1) {
+      this.isFromPrice = true;
+    }
+    this.images = [...new Set((details.images || []).map((src) => this.createAbsoluteUrl(src, baseUrl)))];
+    this.breadcrumbs = (details.breadcrumbs || []).map((crumb) => crumb.trim()).filter(Boolean);
+    this.sources = { name: "listing", price: "listing", ...details.sources };
+    return this;
+  }
+
+  createAbsoluteUrl(url, baseUrl) {
+    return (url?.trim()) ? new URL(url.trim(), baseUrl).href : "missing";
+  }
+}
+
+module.exports = { Product, productSchema };
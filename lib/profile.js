@@ -0,0 +1,147 @@
+const path = require("path");
+const { resolveDetectors } = require("./detectors");
+
+const profilesDir = path.join(__dirname, "..", "profiles");
+const requiredFields = ["name", "price", "url"];
+const detailSources = ["shopify", "json-ld", "dom"];
+
+function resolveProfilePath(nameOrPath) {
+  if (/\.(json|js)$/.test(nameOrPath) || nameOrPath.includes(path.sep)) {
+    return path.resolve(nameOrPath);
+  }
+  return path.join(profilesDir, `${nameOrPath}.json`);
+}
+
+function isString(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
+
+function validateRules(rules, prefix, errors, { selectorRequired = true } = {}) {
+  for (const [field, rule] of Object.entries(rules)) {
+    if (!rule || typeof rule !== "object") {
+      errors.push(`${prefix}.${field} must be an object`);
+      continue;
+    }
+    if (selectorRequired ? !isString(rule.selector) : rule.selector !== undefined && !isString(rule.selector)) {
+      errors.push(`${prefix}.${field}.selector must be a non-empty string`);
+    }
+    if (rule.attribute !== undefined && !isString(rule.attribute)) {
+      errors.push(`${prefix}.${field}.attribute must be a non-empty string`);
+    }
+    if (rule.all !== undefined && typeof rule.all !== "boolean") {
+      errors.push(`${prefix}.${field}.all must be a boolean`);
+    }
+  }
+}
+
+function validateProfile(profile) {
+  const errors = [];
+
+  if (!profile || typeof profile !== "object") {
+    return ["profile must be an object"];
+  }
+  if (!isString(profile.name)) {
+    errors.push("name must be a non-empty string");
+  }
+  try {
+    new URL(profile.baseUrl);
+  } catch (error) {
+    errors.push("baseUrl must be an absolute URL");
+  }
+  if (!Array.isArray(profile.startUrls) || profile.startUrls.length === 0) {
+    errors.push("startUrls must be a non-empty array");
+  } else {
+    for (const url of profile.startUrls) {
+      try {
+        new URL(url);
+      } catch (error) {
+        errors.push(`startUrls contains an invalid URL: ${url}`);
+      }
+    }
+  }
+  if (!isString(profile.itemSelector)) {
+    errors.push("itemSelector must be a non-empty string");
+  }
+  if (!profile.fields || typeof profile.fields !== "object") {
+    errors.push("fields must be an object");
+  } else {
+    for (const field of requiredFields) {
+      if (!profile.fields[field]) {
+        errors.push(`fields.${field} is required`);
+      }
+    }
+    validateRules(profile.fields, "fields", errors);
+  }
+  if (profile.currency !== undefined && !/^[A-Z]{3}$/.test(profile.currency)) {
+    errors.push("currency must be a three-letter currency code such as GBP");
+  }
+  if (profile.pagination !== undefined) {
+    if (!isString(profile.pagination?.selector)) {
+      errors.push("pagination.selector must be a non-empty string");
+    }
+    if (
+      profile.pagination?.attribute !== undefined &&
+      !isString(profile.pagination.attribute)
+    ) {
+      errors.push("pagination.attribute must be a non-empty string");
+    }
+  }
+
+  if (profile.detail !== undefined && (!profile.detail || typeof profile.detail !== "object")) {
+    errors.push("detail must be an object");
+  } else if (profile.detail !== undefined) {
+    const { fields = {}, variants, sources } = profile.detail;
+    if (!fields || typeof fields !== "object") {
+      errors.push("detail.fields must be an object");
+    } else {
+      validateRules(fields, "detail.fields", errors);
+    }
+    if (sources !== undefined) {
+      if (!Array.isArray(sources) || sources.length === 0) {
+        errors.push("detail.sources must be a non-empty array");
+      } else {
+        for (const source of sources.filter((source) => !detailSources.includes(source))) {
+          errors.push(`detail.sources has unknown source "${source}", expected one of ${detailSources.join(", ")}`);
+        }
+      }
+    }
+    if (variants !== undefined) {
+      if (!isString(variants?.itemSelector)) {
+        errors.push("detail.variants.itemSelector must be a non-empty string");
+      }
+      if (!variants?.fields || typeof variants.fields !== "object") {
+        errors.push("detail.variants.fields must be an object");
+      } else {
+        validateRules(variants.fields, "detail.variants.fields", errors, { selectorRequired: false });
+      }
+    }
+  }
+
+  if (profile.blockDetectors !== undefined) {
+    if (!Array.isArray(profile.blockDetectors)) {
+      errors.push("blockDetectors must be an array");
+    } else {
+      try {
+        resolveDetectors(profile.blockDetectors);
+      } catch (error) {
+        errors.push(`blockDetectors: ${error.message}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+function loadProfile(nameOrPath) {
+  const profilePath = resolveProfilePath(nameOrPath);
+  const profile = require(profilePath);
+  const errors = validateProfile(profile);
+  if (errors.length > 0) {
+    throw new Error(`Invalid site profile ${profilePath}:\n  ${errors.join("\n  ")}`);
+  }
+  return profile;
+}
+
+const defaultProfile = loadProfile("chocolate.co.uk");
+
+module.exports = { loadProfile, validateProfile, defaultProfile };
@@ -0,0 +1,175 @@
+const axios = require("axios");
+const { resolveDetectors, detectBlock, defaultDetectors } = require("./detectors");
+
+// Sent by browser contexts and robots.txt requests unless overridden, so
+// robots.txt rules are matched against the agent the site actually sees
+const defaultUserAgent =
+  "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/103.0.5060.53 Safari/537.36";
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function backoffDelay(attempt, { baseDelay = 1000, maxDelay = 30000, factor = 2, jitter = true } = {}) {
+  const delay = Math.min(maxDelay, baseDelay * factor ** attempt);
+  // Full jitter keeps workers that failed together from retrying together
+  return jitter ? Math.round(Math.random() * delay) : delay;
+}
+
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return null;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function classifyStatus(status) {
+  if (status >= 200 && status < 300) {
+    return null;
+  }
+  if (status === 429 || status === 503) {
+    return { reason: "rate-limited", retry: true };
+  }
+  if (status === 408 || status >= 500) {
+    return { reason: "server-error", retry: true };
+  }
+  return { reason: "client-error", retry: false };
+}
+
+// Resolves to { ok: true, response, status, attempts } or, once retries are
+// exhausted or the failure is permanent, { ok: false, reason, status, error,
+// attempts } where reason is one of rate-limited, server-error, client-error,
+// blocked, timeout or network-error. Blocked failures also name the detector
+// that fired; onBlocked runs before the retry so callers can rotate identity.
+async function makeRequest(page, url, {
+  retries = 3,
+  profile = null,
+  detectors = profile?.blockDetectors ?? defaultDetectors,
+  onBlocked = null,
+  backoff = {},
+  maxRetryAfter = 60000,
+} = {}) {
+  const blockDetectors = resolveDetectors(detectors);
+  let failure = null;
+
+  for (let attempt = 0; attempt < retries; attempt++) {
+    if (attempt > 0) {
+      const delay = failure.retryAfter ?? backoffDelay(attempt - 1, backoff);
+      console.log(`Retrying ${url} in ${delay}ms after ${failure.reason}`);
+      await sleep(delay);
+    }
+
+    let response;
+    try {
+      response = await page.goto(url);
+    } catch (error) {
+      const reason = error.name === "TimeoutError" ? "timeout" : "network-error";
+      failure = { reason, status: null, error, retryAfter: null };
+      console.log(`Failed to fetch ${url}: ${error.message}`);
+      continue;
+    }
+
+    const status = response.status();
+    const block = await detectBlock(blockDetectors, { page, response, status, profile });
+    if (block) {
+      failure = { reason: "blocked", status, error: null, retryAfter: null, ...block };
+      console.log(`Blocked on ${url} by ${block.detector} (${block.detail})`);
+      if (onBlocked) {
+        await onBlocked(failure, attempt + 1);
+      }
+      continue;
+    }
+
+    const statusFailure = classifyStatus(status);
+    if (!statusFailure) {
+      return { ok: true, response, status, attempts: attempt + 1 };
+    }
+
+    const retryAfter = parseRetryAfter(await response.headerValue("retry-after"));
+    failure = {
+      reason: statusFailure.reason,
+      status,
+      error: null,
+      retryAfter: retryAfter === null ? null : Math.min(retryAfter, maxRetryAfter),
+    };
+    if (!statusFailure.retry) {
+      return { ok: false, ...failure, attempts: attempt + 1 };
+    }
+  }
+
+  return { ok: false, ...failure, attempts: retries };
+}
+
+async function makeScrapeOpsRequest(page, url, scrapeOpsKey, options = {}) {
+  const payload = {
+    api_key: scrapeOpsKey,
+    url: encodeURIComponent(url),
+  };
+
+  const proxyUrl = `https://proxy.scrapeops.io/v1?${new URLSearchParams(
+    payload
+  ).toString()}`;
+
+  return makeRequest(page, proxyUrl, options);
+}
+
+const fallbackHeaders = [
+  {
+    "upgrade-insecure-requests": "1",
+    "user-agent":
+      "Mozilla/5.0 (Windows NT 10.0; Windows; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/103.0.5060.114 Safari/537.36",
+    accept:
+      "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.9",
+    "sec-ch-ua":
+      '".Not/A)Brand";v="99", "Google Chrome";v="103", "Chromium";v="103"',
+    "sec-ch-ua-mobile": "?0",
+    "sec-ch-ua-platform": '"Windows"',
+    "sec-fetch-site": "none",
+    "sec-fetch-mod": "",
+    "sec-fetch-user": "?1",
+    "accept-encoding": "gzip, deflate, br",
+    "accept-language": "bg-BG,bg;q=0.9,en-US;q=0.8,en;q=0.7",
+  },
+  {
+    "upgrade-insecure-requests": "1",
+    "user-agent":
+      "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/103.0.5060.53 Safari/537.36",
+    accept:
+      "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.9",
+    "sec-ch-ua":
+      '".Not/A)Brand";v="99", "Google Chrome";v="103", "Chromium";v="103"',
+    "sec-ch-ua-mobile": "?0",
+    "sec-ch-ua-platform": '"Linux"',
+    "sec-fetch-site": "none",
+    "sec-fetch-mod": "",
+    "sec-fetch-user": "?1",
+    "accept-encoding": "gzip, deflate, br",
+    "accept-language": "fr-CH,fr;q=0.9,en-US;q=0.8,en;q=0.7",
+  },
+];
+
+async function getHeaders(numHeaders, scrapeOpsKey) {
+  try {
+    const response = await axios.get(
+      `http://headers.scrapeops.io/v1/browser-headers?api_key=${scrapeOpsKey}&num_results=${numHeaders}`
+    );
+
+    if (response.data.result.length > 0) {
+      return response.data.result;
+    } else {
+      console.error("No headers from ScrapeOps, using fallback headers");
+      return fallbackHeaders;
+    }
+  } catch (error) {
+    console.error(
+      "Failed to fetch headers from ScrapeOps, using fallback headers"
+    );
+    return fallbackHeaders;
+  }
+}
+
+module.exports = { defaultUserAgent, sleep, backoffDelay, parseRetryAfter, makeRequest, makeScrapeOpsRequest, getHeaders };
@@ -0,0 +1,209 @@
+const { BrowserPool } = require("./browserPool");
+const { makeRequest } = require("./request");
+const { defaultProfile } = require("./profile");
+const { Politeness } = require("./politeness");
+const { fromJsonLd, fromShopifyProduct, mergeSources } = require("./structuredData");
+
+const requiredFields = ["name", "price", "url"];
+
+// Items missing a required field are left out. Pass `quality` to have it
+// filled in with { items, selectorHits, dropped } for the QualityReport.
+async function extractProducts(page, profile = defaultProfile, quality = null) {
+  const productItems = await page.$$eval(profile.itemSelector, (items, fields) =>
+    items.map(item => {
+      const rawProduct = {};
+      for (const [field, rule] of Object.entries(fields)) {
+        const element = item.querySelector(rule.selector);
+        if (!element) {
+          rawProduct[field] = null;
+        } else if (rule.attribute) {
+          rawProduct[field] = element.getAttribute(rule.attribute);
+        } else {
+          rawProduct[field] = element.textContent.trim();
+        }
+      }
+      return rawProduct;
+    }),
+    profile.fields
+  );
+
+  const products = [];
+  for (const item of productItems) {
+    const missing = requiredFields.filter((field) => !item[field]);
+    if (missing.length === 0) {
+      products.push(item);
+    } else {
+      quality?.dropped.push({ reason: `missing ${missing.join(", ")}` });
+    }
+  }
+
+  if (quality) {
+    quality.items = productItems.length;
+    for (const field of Object.keys(profile.fields)) {
+      quality.selectorHits[field] = productItems.filter((item) => item[field]).length;
+    }
+  }
+  return products;
+}
+
+// Reads profile.detail.fields from a product page. Rules are like listing
+// fields; `all: true` collects every match, and variant fields without a
+// selector read the variant element itself.
+async function extractDomDetails(page, profile = defaultProfile) {
+  const { fields = {}, variants = null } = profile.detail;
+  return page.evaluate(({ fields, variants }) => {
+    const readField = (root, rule) => {
+      const elements = rule.selector ? [...root.querySelectorAll(rule.selector)] : [root];
+      const values = elements
+        .map((element) => rule.attribute ? element.getAttribute(rule.attribute) : element.textContent.trim())
+        .filter(Boolean);
+      return rule.all ? values : values[0] ?? null;
+    };
+    const readFields = (root, rules) =>
+      Object.fromEntries(Object.entries(rules).map(([field, rule]) => [field, readField(root, rule)]));
+
+    const details = readFields(document, fields);
+    if (variants) {
+      details.variants = [...document.querySelectorAll(variants.itemSelector)]
+        .map((item) => readFields(item, variants.fields));
+    }
+    return details;
+  }, { fields, variants });
+}
+
+// The product JSON a detail page's "shopify" source fetches, or null when
+// the profile doesn't use that source or url isn't a product page
+function shopifyJsonUrl(url, profile = defaultProfile) {
+  const { sources = ["shopify", "json-ld", "dom"] } = profile.detail ?? {};
+  const jsonUrl = new URL(url);
+  if (!sources.includes("shopify") || !jsonUrl.pathname.includes("/products/")) {
+    return null;
+  }
+  jsonUrl.pathname = `${jsonUrl.pathname.replace(/\/$/, "")}.json`;
+  jsonUrl.search = "";
+  return jsonUrl.href;
+}
+
+async function fetchShopifyProduct(page, profile, url) {
+  const jsonUrl = shopifyJsonUrl(url, profile);
+  if (!jsonUrl) {
+    return null;
+  }
+
+  try {
+    // Goes through the page's context, so it shares its cookies
+    const response = await page.request.get(jsonUrl);
+    return response.ok() ? fromShopifyProduct(await response.json()) : null;
+  } catch (error) {
+    console.log(`Could not read ${jsonUrl}: ${error.message}`);
+    return null;
+  }
+}
+
+const detailSources = {
+  shopify: (page, profile, url) => fetchShopifyProduct(page, profile, url),
+  "json-ld": async (page) =>
+    fromJsonLd(await page.$$eval('script[type="application/ld+json"]', (scripts) => scripts.map((script) => script.textContent))),
+  dom: (page, profile) => extractDomDetails(page, profile),
+};
+
+// Takes each detail field from the first of profile.detail.sources that has
+// it, recording where it came from in `details.sources`. Sources named in
+// skipSources are left out, as when robots.txt disallows Shopify's JSON.
+async function extractDetails(page, profile = defaultProfile, url = page.url(), { skipSources = [] } = {}) {
+  const { sources = ["shopify", "json-ld", "dom"] } = profile.detail;
+  const found = [];
+  for (const name of sources.filter((source) => !skipSources.includes(source))) {
+    found.push([name, await detailSources[name](page, profile, url)]);
+  }
+  return mergeSources(found);
+}
+
+async function nextPage(page, profile = defaultProfile) {
+  if (!profile.pagination) {
+    return null;
+  }
+
+  const { selector, attribute = "href" } = profile.pagination;
+  let nextUrl = null;
+  try {
+    const href = await page.$eval(selector, (item, attribute) => item.getAttribute(attribute), attribute);
+    nextUrl = href ? new URL(href, profile.baseUrl).href : null;
+  } catch (error) {
+    console.log('Last Page Reached');
+  }
+  return nextUrl;
+}
+
+async function scrape(url, {
+  profile = defaultProfile,
+  headers = {},
+  request = makeRequest,
+  headless = true,
+  pool = null,
+  stage = "listing",
+  product = null,
+  skipSources = [],
+} = {}) {
+  // Without a shared pool, fall back to a browser for just this page
+  const browserPool = pool || new BrowserPool({ headless });
+
+  try {
+    return await browserPool.withPage(async (page, lease) => {
+      const result = await request(page, url, { profile });
+      if (!result.ok) {
+        console.log(`Giving up on ${url} after ${result.attempts} attempts: ${result.reason}`);
+        if (result.reason === "blocked") {
+          lease.retire();
+        }
+        return { nextUrl: null, products: [], failure: result };
+      }
+
+      if (stage === "detail") {
+        const details = await extractDetails(page, profile, url, { skipSources });
+        return { nextUrl: null, products: [{ ...product, details }], failure: null };
+      }
+
+      const quality = { items: 0, selectorHits: {}, dropped: [] };
+      const products = await extractProducts(page, profile, quality);
+      const nextUrl = await nextPage(page, profile);
+      return { nextUrl, products, failure: null, quality };
+    }, { headers });
+  } finally {
+    if (!pool) {
+      await browserPool.close();
+    }
+  }
+}
+
+async function crawlSequentially(listOfUrls, handleProducts, {
+  profile = defaultProfile,
+  headless = true,
+  request = makeRequest,
+  politeness = new Politeness(),
+  quality = null,
+} = {}) {
+  const pool = new BrowserPool({ headless, contextsPerBrowser: 1 });
+
+  try {
+    for (let url of listOfUrls) {
+      if (!(await politeness.isAllowed(url))) {
+        continue;
+      }
+      await politeness.acquire(url);
+      console.log(`Scraping: ${url}`);
+      const result = await scrape(url, { profile, request, pool });
+      const { nextUrl, products } = result;
+      quality?.recordPage(result.quality);
+
+      await handleProducts(products);
+      if (nextUrl) {
+        listOfUrls.push(nextUrl);
+      }
+    }
+  } finally {
+    await pool.close();
+  }
+}
+
+module.exports = { extractProducts, extractDetails, shopifyJsonUrl, nextPage, scrape, crawlSequentially };
@@ -0,0 +1,63 @@
+const fs = require("fs");
+const { Sink } = require("./sink");
+const { formatCsv, formatCsvRow } = require("../csv");
+const { productSchema } = require("../product");
+
+class CsvSink extends Sink {
+  constructor({ filename, columns = Object.keys(productSchema), delimiter = ",", bom = false }) {
+    super();
+    const unknown = columns.filter((column) => !Object.hasOwn(productSchema, column));
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown CSV columns: ${unknown.map((column) => JSON.stringify(column)).join(", ")} ` +
+        `(expected ${Object.keys(productSchema).join(", ")})`
+      );
+    }
+    // RFC 4180 quotes fields with double quotes and ends records with CRLF
+    if (typeof delimiter !== "string" || [...delimiter].length !== 1 || /["\r\n]/.test(delimiter)) {
+      throw new Error(
+        `CSV delimiter must be a single character other than a quote or line break, got ${JSON.stringify(delimiter)}`
+      );
+    }
+    this.filename = filename;
+    this.columns = columns;
+    this.delimiter = delimiter;
+    this.bom = bom;
+  }
+
+  // Rows appended to an existing file must line up with its header
+  async open() {
+    if (!fs.existsSync(this.filename) || fs.statSync(this.filename).size === 0) {
+      return;
+    }
+    const fd = fs.openSync(this.filename, "r");
+    const start = Buffer.alloc(64 * 1024);
+    let length;
+    try {
+      length = fs.readSync(fd, start, 0, start.length, 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+    const header = start.toString("utf8", 0, length).split(/\r?\n/, 1)[0].replace(/^\uFEFF/, "");
+    const expected = formatCsvRow(this.columns, this.delimiter).trimEnd();
+    if (header !== expected) {
+      throw new Error(
+        `${this.filename} has the header "${header}" but rows would be written as "${expected}"; ` +
+        "set the columns to match or write to a new file"
+      );
+    }
+  }
+
+  async write(products) {
+    const fileExists = fs.existsSync(this.filename);
+    const csv = formatCsv(products, {
+      columns: this.columns,
+      delimiter: this.delimiter,
+      header: !fileExists,
+      bom: this.bom && !fileExists,
+    });
+    fs.appendFileSync(this.filename, csv);
+  }
+}
+
+module.exports = { CsvSink };
@@ -0,0 +1,24 @@
+const { Sink } = require("./sink");
+const { CsvSink } = require("./csv");
+const { NdjsonSink, JsonSink } = require("./ndjson");
+const { MysqlSink } = require("./mysql");
+const { PostgresSink } = require("./postgres");
+const { SqliteSink } = require("./sqlite");
+const { ParquetSink } = require("./parquet");
+const { S3UploadSink } = require("./s3");
+const { PriceHistorySink, detectChanges, formatChange } = require("./priceHistory");
+
+module.exports = {
+  Sink,
+  CsvSink,
+  NdjsonSink,
+  JsonSink,
+  MysqlSink,
+  PostgresSink,
+  SqliteSink,
+  ParquetSink,
+  S3UploadSink,
+  PriceHistorySink,
+  detectChanges,
+  formatChange,
+};
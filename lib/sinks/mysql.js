@@ -0,0 +1,95 @@
+const { Sink, requireDriver } = require("./sink");
+const { migrate, checkUniqueUrl } = require("../migrations");
+
+function query(connection, sql, values) {
+  return new Promise((resolve, reject) => {
+    connection.query(sql, values, (err, results) => (err ? reject(err) : resolve(results)));
+  });
+}
+
+class MysqlSink extends Sink {
+  constructor({ host, port, user, password, database, poolSize = 5, source = null, runMigrations = true }) {
+    super();
+    this.poolConfig = { host, port, user, password, database, connectionLimit: poolSize };
+    this.pool = null;
+    this.source = source;
+    this.runMigrations = runMigrations;
+  }
+
+  async open() {
+    const mysql = requireDriver("mysql", "MysqlSink");
+    this.pool = mysql.createPool(this.poolConfig);
+    const connection = await this.getConnection();
+    try {
+      if (this.runMigrations) {
+        await migrate("mysql", (sql, values) => query(connection, sql, values));
+      } else {
+        await checkUniqueUrl("mysql", (sql, values) => query(connection, sql, values));
+      }
+    } finally {
+      connection.release();
+    }
+  }
+
+  getConnection() {
+    return new Promise((resolve, reject) => {
+      this.pool.getConnection((err, connection) => (err ? reject(err) : resolve(connection)));
+    });
+  }
+
+  async write(products) {
+    if (products.length <= 0) {
+      return;
+    }
+
+    const sql =
+      "INSERT INTO chocolate_products (name, price, currency, compare_at_price, discount_percent, is_from_price, " +
+      "price_gb, price_usd, exchange_rate_gb, exchange_rate_usd, exchange_rate_date, url, scraped_at, source) VALUES ? " +
+      "ON DUPLICATE KEY UPDATE name = VALUES(name), price = VALUES(price), currency = VALUES(currency), " +
+      "compare_at_price = VALUES(compare_at_price), discount_percent = VALUES(discount_percent), " +
+      "is_from_price = VALUES(is_from_price), price_gb = VALUES(price_gb), price_usd = VALUES(price_usd), " +
+      "exchange_rate_gb = VALUES(exchange_rate_gb), exchange_rate_usd = VALUES(exchange_rate_usd), " +
+      "exchange_rate_date = VALUES(exchange_rate_date), scraped_at = VALUES(scraped_at), source = VALUES(source)";
+    const scrapedAt = new Date();
+    const values = products.map((product) => [
+      product.name,
+      product.price ?? null,
+      product.currency ?? null,
+      product.compareAtPrice ?? null,
+      product.discountPercent ?? null,
+      product.isFromPrice ?? null,
+      product.priceGb,
+      product.priceUsd,
+      product.exchangeRateGb ?? null,
+      product.exchangeRateUsd ?? null,
+      product.exchangeRateDate ?? null,
+      product.url,
+      scrapedAt,
+      this.source,
+    ]);
+
+    const connection = await this.getConnection();
+    try {
+      await query(connection, "START TRANSACTION");
+      await query(connection, sql, [values]);
+      await query(connection, "COMMIT");
+    } catch (error) {
+      await query(connection, "ROLLBACK").catch(() => {});
+      throw new Error(`Failed to write ${products.length} products to MySQL: ${error.message}`, { cause: error });
+    } finally {
+      connection.release();
+    }
+  }
+
+  close() {
+    return new Promise((resolve, reject) => {
+      if (!this.pool) {
+        resolve();
+        return;
+      }
+      this.pool.end((err) => (err ? reject(err) : resolve()));
+    });
+  }
+}
+
+module.exports = { MysqlSink };
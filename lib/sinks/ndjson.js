@@ -0,0 +1,57 @@
+const fs = require("fs");
+const { Sink } = require("./sink");
+const { formatNdjson, readNdjson, repairLastLine, writeFileAtomic } = require("../ndjson");
+
+class NdjsonSink extends Sink {
+  constructor({ filename }) {
+    super();
+    this.filename = filename;
+  }
+
+  async open() {
+    repairLastLine(this.filename);
+  }
+
+  async write(products) {
+    fs.appendFileSync(this.filename, formatNdjson(products));
+  }
+}
+
+// Rows are staged in an NDJSON file next to the JSON file and merged into it
+// on close. A crashed run leaves the staging file behind for `resume` to add
+// to; any other run starts a fresh one.
+class JsonSink extends Sink {
+  constructor({ filename, resume = false }) {
+    super();
+    this.filename = filename;
+    this.stagingFilename = `${filename}.ndjson`;
+    this.resume = resume;
+  }
+
+  async open() {
+    if (this.resume) {
+      repairLastLine(this.stagingFilename);
+    } else if (fs.existsSync(this.stagingFilename)) {
+      fs.unlinkSync(this.stagingFilename);
+    }
+  }
+
+  async write(products) {
+    fs.appendFileSync(this.stagingFilename, formatNdjson(products));
+  }
+
+  async close() {
+    // The staging file only holds this run, so keep what earlier runs wrote
+    let products = readNdjson(this.stagingFilename);
+    if (fs.existsSync(this.filename)) {
+      products = [...JSON.parse(fs.readFileSync(this.filename, "utf8")), ...products];
+    }
+
+    writeFileAtomic(this.filename, JSON.stringify(products, null, 2));
+    if (fs.existsSync(this.stagingFilename)) {
+      fs.unlinkSync(this.stagingFilename);
+    }
+  }
+}
+
+module.exports = { NdjsonSink, JsonSink };
@@ -0,0 +1,74 @@
+const fs = require("fs");
+const { Sink, requireDriver } = require("./sink");
+const { productSchema } = require("../product");
+const { formatNdjson, readNdjson, repairLastLine } = require("../ndjson");
+
+const parquetTypes = {
+  string: "UTF8",
+  number: "DOUBLE",
+  boolean: "BOOLEAN",
+};
+
+function createParquetSchema(schema = productSchema) {
+  const { ParquetSchema } = requireDriver("@dsnp/parquetjs", "ParquetSink");
+  const fields = {};
+  for (const [field, rule] of Object.entries(schema)) {
+    fields[field] = { type: parquetTypes[rule.type], optional: Boolean(rule.optional) };
+  }
+  fields.scraped_at = { type: "TIMESTAMP_MILLIS" };
+  return new ParquetSchema(fields);
+}
+
+// Parquet files cannot be appended to, so each complete run replaces the
+// file. Rows are staged in an NDJSON file next to it and the Parquet file is
+// written from that on close, to a temporary file renamed into place. An
+// incomplete run leaves the previous file alone and the staging file behind
+// for `resume` to add to; any other run starts a fresh one.
+class ParquetSink extends Sink {
+  constructor({ filename, rowGroupSize = 4096, resume = false }) {
+    super();
+    this.filename = filename;
+    this.stagingFilename = `${filename}.ndjson`;
+    this.tmpFilename = `${filename}.${process.pid}.tmp`;
+    this.rowGroupSize = rowGroupSize;
+    this.resume = resume;
+  }
+
+  async open() {
+    if (this.resume) {
+      repairLastLine(this.stagingFilename);
+    } else if (fs.existsSync(this.stagingFilename)) {
+      fs.unlinkSync(this.stagingFilename);
+    }
+  }
+
+  async write(products) {
+    const scrapedAt = new Date().toISOString();
+    fs.appendFileSync(this.stagingFilename, formatNdjson(products.map((product) => ({ ...product, scraped_at: scrapedAt }))));
+  }
+
+  async close({ complete = true } = {}) {
+    if (!complete) {
+      return;
+    }
+    const { ParquetWriter } = requireDriver("@dsnp/parquetjs", "ParquetSink");
+    const writer = await ParquetWriter.openFile(createParquetSchema(), this.tmpFilename);
+    writer.setRowGroupSize(this.rowGroupSize);
+    // A batch another sink failed on is written again on resume; product
+    // URLs are unique within a run, so the latest copy wins
+    const rows = new Map(readNdjson(this.stagingFilename).map((row) => [row.url, row]));
+    try {
+      for (const row of rows.values()) {
+        await writer.appendRow({ ...row, scraped_at: new Date(row.scraped_at) });
+      }
+    } finally {
+      await writer.close();
+    }
+    fs.renameSync(this.tmpFilename, this.filename);
+    if (fs.existsSync(this.stagingFilename)) {
+      fs.unlinkSync(this.stagingFilename);
+    }
+  }
+}
+
+module.exports = { ParquetSink, createParquetSchema };
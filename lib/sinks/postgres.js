@@ -0,0 +1,87 @@
+const { Sink, requireDriver } = require("./sink");
+const { migrate, checkUniqueUrl } = require("../migrations");
+
+class PostgresSink extends Sink {
+  constructor({ host, port, user, password, database, poolSize = 5, source = null, runMigrations = true }) {
+    super();
+    this.poolConfig = { host, port, user, password, database, max: poolSize };
+    this.pool = null;
+    this.source = source;
+    this.runMigrations = runMigrations;
+  }
+
+  async open() {
+    const { Pool } = requireDriver("pg", "PostgresSink");
+    this.pool = new Pool(this.poolConfig);
+    const client = await this.pool.connect();
+    try {
+      const query = async (sql, values) => (await client.query(sql, values)).rows;
+      if (this.runMigrations) {
+        await migrate("postgres", query);
+      } else {
+        await checkUniqueUrl("postgres", query);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  async write(products) {
+    if (products.length <= 0) {
+      return;
+    }
+
+    const scrapedAt = new Date();
+    const values = [];
+    const rows = products.map((product) => {
+      const row = [
+        product.name,
+        product.price ?? null,
+        product.currency ?? null,
+        product.compareAtPrice ?? null,
+        product.discountPercent ?? null,
+        product.isFromPrice ?? null,
+        product.priceGb,
+        product.priceUsd,
+        product.exchangeRateGb ?? null,
+        product.exchangeRateUsd ?? null,
+        product.exchangeRateDate ?? null,
+        product.url,
+        scrapedAt,
+        this.source,
+      ];
+      const placeholders = row.map((value, i) => `$${values.length + i + 1}`);
+      values.push(...row);
+      return `(${placeholders.join(", ")})`;
+    });
+    const query =
+      "INSERT INTO chocolate_products (name, price, currency, compare_at_price, discount_percent, is_from_price, " +
+      "price_gb, price_usd, exchange_rate_gb, exchange_rate_usd, exchange_rate_date, url, scraped_at, source) " +
+      `VALUES ${rows.join(", ")} ` +
+      "ON CONFLICT (url) DO UPDATE SET name = EXCLUDED.name, price = EXCLUDED.price, currency = EXCLUDED.currency, " +
+      "compare_at_price = EXCLUDED.compare_at_price, discount_percent = EXCLUDED.discount_percent, " +
+      "is_from_price = EXCLUDED.is_from_price, price_gb = EXCLUDED.price_gb, price_usd = EXCLUDED.price_usd, " +
+      "exchange_rate_gb = EXCLUDED.exchange_rate_gb, exchange_rate_usd = EXCLUDED.exchange_rate_usd, " +
+      "exchange_rate_date = EXCLUDED.exchange_rate_date, scraped_at = EXCLUDED.scraped_at, source = EXCLUDED.source";
+
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query(query, values);
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw new Error(`Failed to write ${products.length} products to Postgres: ${error.message}`, { cause: error });
+    } finally {
+      client.release();
+    }
+  }
+
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+    }
+  }
+}
+
+module.exports = { PostgresSink };
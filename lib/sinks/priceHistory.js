@@ -0,0 +1,216 @@
+const { Sink, requireDriver } = require("./sink");
+const { migrate } = require("../migrations");
+
+// The history file has its own schema, kept apart from chocolate_products;
+// append new migrations to the end
+const historyMigrations = [
+  {
+    version: 1,
+    name: "create_price_history",
+    sqlite: [
+      `CREATE TABLE IF NOT EXISTS product_snapshots (
+        url TEXT PRIMARY KEY,
+        name TEXT,
+        price REAL,
+        currency TEXT,
+        availability TEXT,
+        source TEXT,
+        seen_at TEXT NOT NULL,
+        removed_at TEXT
+      )`,
+      `CREATE TABLE IF NOT EXISTS price_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        event TEXT NOT NULL,
+        name TEXT,
+        price REAL,
+        previous_price REAL,
+        currency TEXT,
+        availability TEXT,
+        source TEXT,
+        observed_at TEXT NOT NULL
+      )`,
+      "CREATE INDEX IF NOT EXISTS price_history_url_observed_at ON price_history (url, observed_at)",
+    ],
+  },
+];
+
+// Prices closer than this count as unchanged
+const priceTolerance = 0.005;
+
+// Compares a product with its stored snapshot row and returns the event types
+// it causes: "new", "price-up", "price-down" and "back-in-stock"
+function detectChanges(snapshot, product) {
+  if (!snapshot || snapshot.removed_at) {
+    return ["new"];
+  }
+  const changes = [];
+  const comparable = snapshot.price !== null && typeof product.price === "number" && snapshot.currency === product.currency;
+  if (comparable && Math.abs(product.price - snapshot.price) >= priceTolerance) {
+    changes.push(product.price > snapshot.price ? "price-up" : "price-down");
+  }
+  if (snapshot.availability === "out_of_stock" && product.availability === "in_stock") {
+    changes.push("back-in-stock");
+  }
+  return changes;
+}
+
+function formatPrice(price, currency) {
+  return typeof price === "number" ? `${price.toFixed(2)} ${currency ?? ""}`.trim() : "?";
+}
+
+// One line describing a change event, for logs and chat messages
+function formatChange(event) {
+  switch (event.type) {
+    case "price-up":
+    case "price-down":
+      return `${event.type}: ${event.name} ${formatPrice(event.previousPrice, event.currency)} -> ` +
+        `${formatPrice(event.price, event.currency)} ${event.url}`;
+    case "removed":
+      return `removed: ${event.name} ${event.url}`;
+    default:
+      return `${event.type}: ${event.name} ${formatPrice(event.price, event.currency)} ${event.url}`;
+  }
+}
+
+// Keeps the last seen state of each product by URL in `product_snapshots` and
+// appends a row to `price_history` for every change against it. Change events
+// are { type, url, name, price, previousPrice, currency, availability,
+// source, observedAt } and go to onChange(events) after each batch commits.
+// Products of this source not seen since `startedAt` are reported "removed"
+// when a run that saw the whole catalog closes the sink; pass the start of the original run
+// when resuming so products written before the interruption aren't counted.
+class PriceHistorySink extends Sink {
+  constructor({
+    filename,
+    source = null,
+    onChange = null,
+    detectRemoved = true,
+    startedAt = new Date().toISOString(),
+    runMigrations = true,
+  }) {
+    super();
+    this.filename = filename;
+    this.source = source;
+    this.onChange = onChange;
+    this.detectRemoved = detectRemoved;
+    this.startedAt = startedAt;
+    this.runMigrations = runMigrations;
+    this.db = null;
+  }
+
+  async open() {
+    const Database = requireDriver("better-sqlite3", "PriceHistorySink");
+    this.db = new Database(this.filename);
+    this.db.pragma("journal_mode = WAL");
+    if (this.runMigrations) {
+      await migrate("sqlite", async (sql, values = []) => {
+        const statement = this.db.prepare(sql);
+        if (statement.reader) {
+          return statement.all(...values);
+        }
+        statement.run(...values);
+        return [];
+      }, { migrations: historyMigrations, table: "price_history_migrations" });
+    }
+
+    this.selectSnapshot = this.db.prepare("SELECT * FROM product_snapshots WHERE url = ?");
+    this.selectMissing = this.db.prepare(
+      "SELECT * FROM product_snapshots WHERE source IS @source AND removed_at IS NULL AND seen_at < @startedAt"
+    );
+    this.upsertSnapshot = this.db.prepare(
+      "INSERT INTO product_snapshots (url, name, price, currency, availability, source, seen_at, removed_at) " +
+      "VALUES (@url, @name, @price, @currency, @availability, @source, @observedAt, NULL) " +
+      "ON CONFLICT (url) DO UPDATE SET name = excluded.name, price = excluded.price, currency = excluded.currency, " +
+      "availability = COALESCE(excluded.availability, product_snapshots.availability), " +
+      "source = excluded.source, seen_at = excluded.seen_at, removed_at = NULL"
+    );
+    this.markRemoved = this.db.prepare("UPDATE product_snapshots SET removed_at = @observedAt WHERE url = @url");
+    this.insertEvent = this.db.prepare(
+      "INSERT INTO price_history (url, event, name, price, previous_price, currency, availability, source, observed_at) " +
+      "VALUES (@url, @type, @name, @price, @previousPrice, @currency, @availability, @source, @observedAt)"
+    );
+
+    this.recordBatch = this.db.transaction((products, observedAt) => {
+      const events = [];
+      for (const product of products) {
+        const snapshot = this.selectSnapshot.get(product.url);
+        const row = {
+          url: product.url,
+          name: product.name,
+          price: typeof product.price === "number" ? product.price : null,
+          currency: product.currency ?? null,
+          availability: product.availability ?? null,
+          source: this.source,
+          observedAt,
+        };
+        for (const type of detectChanges(snapshot, product)) {
+          const event = { type, ...row, previousPrice: type === "new" ? null : snapshot.price };
+          this.insertEvent.run(event);
+          events.push(event);
+        }
+        this.upsertSnapshot.run(row);
+      }
+      return events;
+    });
+
+    this.recordRemoved = this.db.transaction((observedAt) => {
+      const events = [];
+      for (const snapshot of this.selectMissing.all({ source: this.source, startedAt: this.startedAt })) {
+        const event = {
+          type: "removed",
+          url: snapshot.url,
+          name: snapshot.name,
+          price: null,
+          previousPrice: snapshot.price,
+          currency: snapshot.currency,
+          availability: snapshot.availability,
+          source: this.source,
+          observedAt,
+        };
+        this.insertEvent.run(event);
+        this.markRemoved.run(event);
+        events.push(event);
+      }
+      return events;
+    });
+  }
+
+  async write(products) {
+    if (products.length <= 0) {
+      return;
+    }
+
+    let events;
+    try {
+      events = this.recordBatch(products, new Date().toISOString());
+    } catch (error) {
+      throw new Error(`Failed to record price history for ${products.length} products: ${error.message}`, { cause: error });
+    }
+    await this.emit(events);
+  }
+
+  async emit(events) {
+    if (events.length > 0 && this.onChange) {
+      await this.onChange(events);
+    }
+  }
+
+  // An interrupted or partial run, or one that skipped or found nothing on
+  // its listing pages, didn't see every product, so it can't tell which ones
+  // are gone
+  async close({ complete = true, catalogSeen = complete } = {}) {
+    if (!this.db) {
+      return;
+    }
+    try {
+      if (catalogSeen && this.detectRemoved) {
+        await this.emit(this.recordRemoved(new Date().toISOString()));
+      }
+    } finally {
+      this.db.close();
+    }
+  }
+}
+
+module.exports = { PriceHistorySink, detectChanges, formatPrice, formatChange };
@@ -0,0 +1,117 @@
+const fs = require("fs");
+const path = require("path");
+const { Sink, requireDriver } = require("./sink");
+
+const contentTypes = {
+  ".csv": "text/csv; charset=utf-8",
+  ".json": "application/json",
+  ".ndjson": "application/x-ndjson",
+  ".parquet": "application/vnd.apache.parquet",
+  ".db": "application/vnd.sqlite3",
+  ".sqlite": "application/vnd.sqlite3",
+};
+
+function createRunId(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, "-");
+}
+
+function formatKey(template, { site, runId, date, filename }) {
+  const ext = path.extname(filename);
+  const values = {
+    site,
+    runId,
+    date: date.toISOString().slice(0, 10),
+    filename: path.basename(filename),
+    basename: path.basename(filename, ext),
+    ext: ext.slice(1),
+  };
+
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (values[name] === undefined) {
+      throw new Error(`Unknown placeholder ${placeholder} in S3 key template "${template}"`);
+    }
+    return values[name];
+  });
+}
+
+// Uploads files written by other sinks, so register it after those sinks.
+// Only a complete run is uploaded, so the keys never hold partial output.
+class S3UploadSink extends Sink {
+  constructor({
+    bucket,
+    files,
+    keyTemplate = "crawls/{site}/{date}/{runId}.{ext}",
+    site = "default",
+    runId = createRunId(),
+    region,
+    accessKeyId,
+    secretAccessKey,
+    endpoint,
+    forcePathStyle = false,
+    partSize = 8 * 1024 * 1024,
+  }) {
+    super();
+    this.bucket = bucket;
+    this.files = files;
+    this.keyTemplate = keyTemplate;
+    this.site = site;
+    this.runId = runId;
+    this.partSize = partSize;
+    this.clientConfig = { region, forcePathStyle };
+    if (endpoint) {
+      this.clientConfig.endpoint = endpoint;
+    }
+    // Without explicit keys the SDK falls back to its default credential chain
+    if (accessKeyId && secretAccessKey) {
+      this.clientConfig.credentials = { accessKeyId, secretAccessKey };
+    }
+  }
+
+  async write(products) {}
+
+  async uploadFile(client, filename, date) {
+    const key = formatKey(this.keyTemplate, { site: this.site, runId: this.runId, date, filename });
+    const { Upload } = requireDriver("@aws-sdk/lib-storage", "S3UploadSink");
+    const upload = new Upload({
+      client,
+      partSize: this.partSize,
+      params: {
+        Bucket: this.bucket,
+        Key: key,
+        Body: fs.createReadStream(filename),
+        ContentType: contentTypes[path.extname(filename)] || "application/octet-stream",
+      },
+    });
+
+    try {
+      await upload.done();
+    } catch (error) {
+      throw new Error(`Failed to upload ${filename} to s3://${this.bucket}/${key}: ${error.message}`, { cause: error });
+    }
+    console.log(`Uploaded ${filename} to s3://${this.bucket}/${key}`);
+  }
+
+  async close({ complete = true } = {}) {
+    if (!complete) {
+      console.log(`Not uploading to s3://${this.bucket}, the run did not finish`);
+      return;
+    }
+    const { S3Client } = requireDriver("@aws-sdk/client-s3", "S3UploadSink");
+    const client = new S3Client(this.clientConfig);
+    const date = new Date();
+
+    try {
+      for (const filename of this.files) {
+        if (!fs.existsSync(filename)) {
+          console.log(`Nothing to upload, ${filename} was not written`);
+          continue;
+        }
+        await this.uploadFile(client, filename, date);
+      }
+    } finally {
+      client.destroy();
+    }
+  }
+}
+
+module.exports = { S3UploadSink, formatKey, createRunId };
@@ -0,0 +1,29 @@
+// Sinks receive cleaned products from ProductDataPipeline in batches.
+// Override write(products); open() and close() are optional. close() gets
+// { complete, catalogSeen }: complete is false when the run stopped before it
+// finished, and catalogSeen is true only when it also crawled every listing
+// page and found products there, so anything it didn't see is gone.
+class Sink {
+  async open() {}
+
+  async write(products) {
+    throw new Error(`${this.constructor.name} must implement write(products)`);
+  }
+
+  async close() {}
+}
+
+// Database and storage drivers are optional dependencies, loaded only by the
+// sinks that use them
+function requireDriver(packageName, sinkName) {
+  try {
+    return require(packageName);
+  } catch (error) {
+    if (error.code === "MODULE_NOT_FOUND") {
+      throw new Error(`${sinkName} needs the ${packageName} package: npm install ${packageName}`, { cause: error });
+    }
+    throw error;
+  }
+}
+
+module.exports = { Sink, requireDriver };
@@ -0,0 +1,87 @@
+const { Sink, requireDriver } = require("./sink");
+const { migrate, checkUniqueUrl } = require("../migrations");
+
+class SqliteSink extends Sink {
+  constructor({ filename, source = null, runMigrations = true }) {
+    super();
+    this.filename = filename;
+    this.source = source;
+    this.runMigrations = runMigrations;
+    this.db = null;
+  }
+
+  async open() {
+    const Database = requireDriver("better-sqlite3", "SqliteSink");
+    this.db = new Database(this.filename);
+    this.db.pragma("journal_mode = WAL");
+    const query = async (sql, values = []) => {
+      const statement = this.db.prepare(sql);
+      if (statement.reader) {
+        return statement.all(...values);
+      }
+      statement.run(...values);
+      return [];
+    };
+    if (this.runMigrations) {
+      await migrate("sqlite", query);
+    } else {
+      await checkUniqueUrl("sqlite", query);
+    }
+
+    this.upsert = this.db.prepare(
+      "INSERT INTO chocolate_products (name, price, currency, compare_at_price, discount_percent, is_from_price, " +
+      "price_gb, price_usd, exchange_rate_gb, exchange_rate_usd, exchange_rate_date, url, scraped_at, source) " +
+      "VALUES (@name, @price, @currency, @compareAtPrice, @discountPercent, @isFromPrice, " +
+      "@priceGb, @priceUsd, @exchangeRateGb, @exchangeRateUsd, @exchangeRateDate, @url, @scrapedAt, @source) " +
+      "ON CONFLICT (url) DO UPDATE SET name = excluded.name, price = excluded.price, currency = excluded.currency, " +
+      "compare_at_price = excluded.compare_at_price, discount_percent = excluded.discount_percent, " +
+      "is_from_price = excluded.is_from_price, price_gb = excluded.price_gb, price_usd = excluded.price_usd, " +
+      "exchange_rate_gb = excluded.exchange_rate_gb, exchange_rate_usd = excluded.exchange_rate_usd, " +
+      "exchange_rate_date = excluded.exchange_rate_date, scraped_at = excluded.scraped_at, source = excluded.source"
+    );
+    this.writeBatch = this.db.transaction((rows) => {
+      for (const row of rows) {
+        this.upsert.run(row);
+      }
+    });
+  }
+
+  async write(products) {
+    if (products.length <= 0) {
+      return;
+    }
+
+    const scrapedAt = new Date().toISOString();
+    // SQLite has no boolean type, so isFromPrice is stored as 0 or 1
+    const rows = products.map((product) => ({
+      name: product.name,
+      price: product.price ?? null,
+      currency: product.currency ?? null,
+      compareAtPrice: product.compareAtPrice ?? null,
+      discountPercent: product.discountPercent ?? null,
+      isFromPrice: typeof product.isFromPrice === "boolean" ? Number(product.isFromPrice) : null,
+      priceGb: product.priceGb,
+      priceUsd: product.priceUsd,
+      exchangeRateGb: product.exchangeRateGb ?? null,
+      exchangeRateUsd: product.exchangeRateUsd ?? null,
+      exchangeRateDate: product.exchangeRateDate ?? null,
+      url: product.url,
+      scrapedAt,
+      source: this.source,
+    }));
+
+    try {
+      this.writeBatch(rows);
+    } catch (error) {
+      throw new Error(`Failed to write ${products.length} products to SQLite: ${error.message}`, { cause: error });
+    }
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+    }
+  }
+}
+
+module.exports = { SqliteSink };
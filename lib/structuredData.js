@@ -0,0 +1,160 @@
+// Product details read from machine-readable sources, in the same shape
+// extractDetails gets from DOM selectors: { name, price, currency,
+// compareAtPrice, description, sku, availability, images, breadcrumbs,
+// variants }.
+const detailFields = [
+  "name", "price", "currency", "compareAtPrice", "description", "sku", "availability", "images", "breadcrumbs", "variants",
+];
+
+function asArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+function hasType(node, type) {
+  return asArray(node?.["@type"]).includes(type);
+}
+
+function stripHtml(html) {
+  return html
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// Every object in a JSON-LD document, including those nested in @graph
+function* jsonLdNodes(node) {
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      yield* jsonLdNodes(item);
+    }
+  } else if (node && typeof node === "object") {
+    yield node;
+    yield* jsonLdNodes(node["@graph"]);
+  }
+}
+
+function imageUrl(image) {
+  return typeof image === "string" ? image : image?.url || image?.contentUrl || null;
+}
+
+function offerPrice(offer) {
+  return offer?.price ?? offer?.lowPrice ?? offer?.priceSpecification?.price ?? null;
+}
+
+// `scripts` are the texts of the page's application/ld+json script tags
+function fromJsonLd(scripts) {
+  const nodes = [];
+  for (const script of scripts) {
+    try {
+      nodes.push(...jsonLdNodes(JSON.parse(script)));
+    } catch (error) {
+      // Broken markup in one script shouldn't hide the others
+    }
+  }
+
+  const product = nodes.find((node) => hasType(node, "Product") || hasType(node, "ProductGroup"));
+  const breadcrumbList = nodes.find((node) => hasType(node, "BreadcrumbList"));
+  if (!product && !breadcrumbList) {
+    return null;
+  }
+
+  const details = {
+    breadcrumbs: asArray(breadcrumbList?.itemListElement)
+      .sort((a, b) => (a.position ?? 0) - (b.position ?? 0))
+      .map((element) => element.name ?? element.item?.name)
+      .filter(Boolean),
+  };
+  if (!product) {
+    return details;
+  }
+
+  const offers = asArray(product.offers).flatMap((offer) =>
+    hasType(offer, "AggregateOffer") && offer.offers ? asArray(offer.offers) : [offer]
+  );
+  // A ProductGroup lists each variant as a Product with its own offer
+  const variants = asArray(product.hasVariant).map((variant) => {
+    const [offer] = asArray(variant.offers);
+    return {
+      name: variant.name,
+      sku: variant.sku,
+      price: offerPrice(offer),
+      currency: offer?.priceCurrency,
+      availability: offer?.availability,
+    };
+  });
+
+  return {
+    ...details,
+    name: product.name,
+    description: product.description,
+    sku: product.sku,
+    price: offerPrice(offers[0]),
+    currency: offers[0]?.priceCurrency,
+    availability: offers[0]?.availability,
+    images: asArray(product.image).map(imageUrl).filter(Boolean),
+    variants: variants.length > 0 || offers.length < 2
+      ? variants
+      : offers.map((offer) => ({
+        name: offer.name ?? offer.sku,
+        sku: offer.sku,
+        price: offerPrice(offer),
+        currency: offer.priceCurrency,
+        availability: offer.availability,
+      })),
+  };
+}
+
+// `json` is the body of Shopify's /products/<handle>.json
+function fromShopifyProduct(json) {
+  const product = json?.product;
+  if (!product) {
+    return null;
+  }
+
+  const variants = asArray(product.variants).map((variant) => ({
+    name: variant.title,
+    sku: variant.sku,
+    price: variant.price,
+    compareAtPrice: variant.compare_at_price,
+  }));
+  return {
+    name: product.title,
+    description: product.body_html ? stripHtml(product.body_html) : null,
+    sku: variants.length === 1 ? variants[0].sku : null,
+    price: variants[0]?.price ?? null,
+    compareAtPrice: variants[0]?.compareAtPrice ?? null,
+    images: asArray(product.images).map((image) => image.src).filter(Boolean),
+    // The default variant of a single-variant product is the product itself
+    variants: variants.length > 1 ? variants : [],
+  };
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === "" || (Array.isArray(value) && value.length === 0);
+}
+
+// `sources` is [[name, details], ...] in order of preference. Each field is
+// taken from the first source that has it, and `sources` in the result
+// records which one that was.
+function mergeSources(sources) {
+  const merged = { sources: {} };
+  for (const field of detailFields) {
+    for (const [name, details] of sources) {
+      if (details && !isEmpty(details[field])) {
+        merged[field] = details[field];
+        merged.sources[field] = name;
+        break;
+      }
+    }
+  }
+  return merged;
+}
+
+module.exports = { detailFields, fromJsonLd, fromShopifyProduct, mergeSources };
@@ -0,0 +1,155 @@
+const { productSchema } = require("./product");
+
+// Field rules: { type, optional, min, max, exclusiveMin, format }. Product
+// fills gaps with "missing" and bad prices with 0, so those count as missing
+// and out of range here.
+const productRules = {
+  ...productSchema,
+  price: { ...productSchema.price, optional: false },
+  currency: { ...productSchema.currency, optional: false },
+};
+
+const formats = {
+  url: (value) => {
+    try {
+      return ["http:", "https:"].includes(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  },
+  currency: (value) => /^[A-Z]{3}$/.test(value),
+};
+
+function isMissing(value) {
+  return value === undefined || value === null || value === "" || value === "missing";
+}
+
+// Returns [{ field, problem, message }] where problem is "missing", "type",
+// "range" or "format"
+function validateProduct(product, rules = productRules) {
+  const errors = [];
+  for (const [field, rule] of Object.entries(rules)) {
+    const value = product[field];
+    if (isMissing(value)) {
+      if (!rule.optional) {
+        errors.push({ field, problem: "missing", message: `${field} is missing` });
+      }
+      continue;
+    }
+
+    if (typeof value !== rule.type || (rule.type === "number" && Number.isNaN(value))) {
+      errors.push({ field, problem: "type", message: `${field} must be a ${rule.type}, got ${JSON.stringify(value)}` });
+    } else if (
+      (rule.min !== undefined && value < rule.min) ||
+      (rule.max !== undefined && value > rule.max) ||
+      (rule.exclusiveMin !== undefined && value <= rule.exclusiveMin)
+    ) {
+      errors.push({ field, problem: "range", message: `${field} is out of range: ${value}` });
+    } else if (rule.format && !formats[rule.format](value)) {
+      errors.push({ field, problem: "format", message: `${field} is not a valid ${rule.format}: ${value}` });
+    }
+  }
+  return errors;
+}
+
+// Counts what one run scraped: listing items and how often each selector
+// matched, items dropped before becoming products, and products that broke a
+// field rule.
+class QualityReport {
+  constructor() {
+    this.pages = 0;
+    this.items = 0;
+    this.selectorHits = {};
+    this.dropped = {};
+    this.checked = 0;
+    this.invalid = 0;
+    this.fields = {};
+    this.examples = [];
+  }
+
+  // `quality` is what scrape() reports for a listing page:
+  // { items, selectorHits: { field: count }, dropped: [{ reason }] }
+  recordPage(quality) {
+    if (!quality) {
+      return;
+    }
+    this.pages += 1;
+    this.items += quality.items;
+    for (const [field, hits] of Object.entries(quality.selectorHits)) {
+      this.selectorHits[field] = (this.selectorHits[field] || 0) + hits;
+    }
+    for (const { reason } of quality.dropped) {
+      this.dropped[reason] = (this.dropped[reason] || 0) + 1;
+    }
+  }
+
+  recordProduct(product, errors) {
+    this.checked += 1;
+    if (errors.length === 0) {
+      return;
+    }
+    this.invalid += 1;
+    for (const { field, problem, message } of errors) {
+      this.fields[field] ??= { missing: 0, type: 0, range: 0, format: 0 };
+      this.fields[field][problem] += 1;
+      if (this.examples.length < 20) {
+        this.examples.push({ url: product.url, message });
+      }
+    }
+  }
+
+  // Share of scraped items that became valid products, from 0 to 1
+  get score() {
+    const droppedCount = Object.values(this.dropped).reduce((total, count) => total + count, 0);
+    const total = this.checked + droppedCount;
+    return total === 0 ? 1 : (this.checked - this.invalid) / total;
+  }
+
+  toJSON() {
+    return {
+      score: this.score,
+      pages: this.pages,
+      items: this.items,
+      selectorHitRates: Object.fromEntries(
+        Object.entries(this.selectorHits).map(([field, hits]) => [field, this.items ? hits / this.items : 0])
+      ),
+      dropped: this.dropped,
+      products: this.checked,
+      invalidProducts: this.invalid,
+      fields: this.fields,
+      examples: this.examples,
+    };
+  }
+
+  format() {
+    const lines = [
+      `Data quality: ${(this.score * 100).toFixed(1)}% of items became valid products`,
+      `  ${this.checked} products checked, ${this.invalid} invalid`,
+    ];
+    if (this.items > 0) {
+      lines.push(`  ${this.items} listing items on ${this.pages} pages; selector hit rates:`);
+      for (const [field, hits] of Object.entries(this.selectorHits)) {
+        lines.push(`    ${field}: ${((hits / this.items) * 100).toFixed(1)}%`);
+      }
+    }
+    for (const [reason, count] of Object.entries(this.dropped)) {
+      lines.push(`  dropped ${count}: ${reason}`);
+    }
+    for (const [field, problems] of Object.entries(this.fields)) {
+      const counts = Object.entries(problems).filter(([, count]) => count > 0);
+      lines.push(`  ${field}: ${counts.map(([problem, count]) => `${count} ${problem}`).join(", ")}`);
+    }
+    return lines.join("\n");
+  }
+
+  // Throws when fewer than `minScore` (0 to 1) of the items were valid
+  check(minScore) {
+    if (this.score < minScore) {
+      throw new Error(
+        `Data quality ${(this.score * 100).toFixed(1)}% is below the required ${(minScore * 100).toFixed(1)}%`
+      );
+    }
+  }
+}
+
+module.exports = { productRules, validateProduct, QualityReport };
@@ -0,0 +1,170 @@
+const axios = require("axios");
+const { sleep, backoffDelay, parseRetryAfter } = require("./request");
+const { formatPrice } = require("./sinks/priceHistory");
+
+// The change events PriceHistorySink reports
+const eventTypes = ["new", "removed", "price-up", "price-down", "back-in-stock"];
+
+// Slack reads &, < and > as markup in any text
+function slackEscape(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// A | ends the URL of a <url|name> link and can't be escaped, so it is
+// percent-encoded in the URL and swapped for a lookalike in the name
+function slackLink(url, name) {
+  return `<${slackEscape(url).replace(/\|/g, "%7C")}|${slackEscape(name).replace(/\|/g, "\u2223")}>`;
+}
+
+function slackLine(event) {
+  const product = slackLink(event.url, event.name);
+  switch (event.type) {
+    case "price-up":
+    case "price-down":
+      return `• *${event.type}* ${product} ${formatPrice(event.previousPrice, event.currency)} → ` +
+        formatPrice(event.price, event.currency);
+    case "removed":
+      return `• *removed* ${product}`;
+    default:
+      return `• *${event.type}* ${product} ${formatPrice(event.price, event.currency)}`;
+  }
+}
+
+// Payload builders take (events, { site }) and return the JSON body to POST
+const payloadFormats = {
+  json: (events, { site }) => ({ site, sentAt: new Date().toISOString(), events }),
+  slack: (events, { site }) => ({
+    text: [`${events.length} product change${events.length === 1 ? "" : "s"}${site ? ` on ${slackEscape(site)}` : ""}`]
+      .concat(events.map(slackLine))
+      .join("\n"),
+  }),
+};
+
+// Status codes worth another attempt; anything else outside 2xx is permanent
+function isRetryable(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// POSTs batches of change events to one webhook URL. Only the selected event
+// types are sent; they are buffered until `batchSize` have arrived, and
+// flush() sends the rest. `payload` overrides the built-in "json" and "slack"
+// formats. A batch that still fails after `retries` attempts is logged and
+// counted rather than thrown, so a broken webhook can't stop a crawl; close()
+// throws once everything is sent if any batch was lost. A Retry-After longer
+// than `maxRetryAfter` ms is cut short. With dryRun the payloads are only
+// logged.
+class WebhookNotifier {
+  constructor({
+    url,
+    events = eventTypes,
+    format = "json",
+    payload = payloadFormats[format],
+    site = null,
+    batchSize = 20,
+    retries = 3,
+    backoff = {},
+    maxRetryAfter = 60000,
+    timeout = 10000,
+    headers = {},
+    dryRun = false,
+  }) {
+    try {
+      const { protocol } = new URL(url);
+      if (!["http:", "https:"].includes(protocol)) {
+        throw new Error(`unsupported protocol ${protocol}`);
+      }
+    } catch (error) {
+      throw new Error(`Webhook URL must be an http(s) URL, got "${url}"`, { cause: error });
+    }
+    const unknown = events.filter((type) => !eventTypes.includes(type));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown webhook event types: ${unknown.join(", ")} (expected ${eventTypes.join(", ")})`);
+    }
+    if (typeof payload !== "function") {
+      throw new Error(`Webhook format must be one of ${Object.keys(payloadFormats).join(", ")}, got "${format}"`);
+    }
+
+    this.url = url;
+    this.events = new Set(events);
+    this.payload = payload;
+    this.site = site;
+    this.batchSize = batchSize;
+    this.retries = retries;
+    this.backoff = backoff;
+    this.maxRetryAfter = maxRetryAfter;
+    this.timeout = timeout;
+    this.headers = headers;
+    this.dryRun = dryRun;
+    this.queue = [];
+    this.sent = 0;
+    this.failed = 0;
+  }
+
+  async notify(events) {
+    this.queue.push(...events.filter((event) => this.events.has(event.type)));
+    while (this.queue.length >= this.batchSize) {
+      await this.send(this.queue.splice(0, this.batchSize));
+    }
+  }
+
+  async flush() {
+    while (this.queue.length > 0) {
+      await this.send(this.queue.splice(0, this.batchSize));
+    }
+  }
+
+  async send(events) {
+    const body = this.payload(events, { site: this.site });
+    if (this.dryRun) {
+      console.log(`Dry run: would POST ${events.length} events to ${this.url}\n${JSON.stringify(body, null, 2)}`);
+      this.sent += events.length;
+      return;
+    }
+
+    let failure = null;
+    for (let attempt = 0; attempt < this.retries; attempt++) {
+      if (attempt > 0) {
+        const delay = failure.retryAfter ?? backoffDelay(attempt - 1, this.backoff);
+        console.log(`Retrying webhook ${this.url} in ${delay}ms after ${failure.message}`);
+        await sleep(delay);
+      }
+
+      let response;
+      try {
+        response = await axios.post(this.url, body, {
+          headers: this.headers,
+          timeout: this.timeout,
+          validateStatus: () => true,
+        });
+      } catch (error) {
+        failure = { message: error.message, retryAfter: null };
+        continue;
+      }
+
+      if (response.status >= 200 && response.status < 300) {
+        this.sent += events.length;
+        return;
+      }
+      const retryAfter = parseRetryAfter(response.headers["retry-after"]);
+      failure = {
+        message: `HTTP ${response.status}`,
+        retryAfter: retryAfter === null ? null : Math.min(retryAfter, this.maxRetryAfter),
+      };
+      if (!isRetryable(response.status)) {
+        break;
+      }
+    }
+
+    this.failed += events.length;
+    console.error(`Could not deliver ${events.length} events to webhook ${this.url}: ${failure.message}`);
+  }
+
+  async close() {
+    await this.flush();
+    if (this.failed > 0) {
+      throw new Error(`${this.failed} change events could not be delivered to webhook ${this.url}`);
+    }
+  }
+}
+
+module.exports = { eventTypes, payloadFormats, WebhookNotifier };
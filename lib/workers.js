@@ -0,0 +1,286 @@
+const { Worker, isMainThread, parentPort, workerData } = require("worker_threads");
+const { BrowserPool } = require("./browserPool");
+const { Frontier } = require("./frontier");
+const { Politeness } = require("./politeness");
+const { shopifyJsonUrl } = require("./scraper");
+const { sleep } = require("./request");
+
+// The main thread owns the frontier and hands URLs to whichever worker has a
+// free slot, so a worker that runs out of pages picks up any other pending
+// URL instead of idling. Workers are started as URLs become ready, up to
+// `concurrency`, once every running worker is busy. Dispatching from here
+// also applies the per-host rate limit and robots.txt rules across all
+// workers. Resolves to { pagesCrawled, failures, quality } once the frontier
+// is drained and the pipeline is closed. With `details`, products found on
+// listing pages are queued again as requests for their detail pages and only
+// reach the pipeline from there. With a checkpoint, URLs it has already
+// visited are skipped, its pending URLs are crawled too, and it is removed
+// once the crawl finishes with no failed page.
+function runMainThread(filename, listOfUrls, pipeline, {
+  concurrency = listOfUrls.length,
+  pagesPerWorker = 1,
+  options = {},
+  details = false,
+  politeness = new Politeness(),
+  checkpoint = null,
+  robotsRetries = 3,
+} = {}) {
+  const frontier = new Frontier();
+  let startUrls = listOfUrls;
+  if (checkpoint) {
+    for (const url of checkpoint.visited) {
+      frontier.markSeen(url);
+    }
+    for (const key of checkpoint.flushedProducts) {
+      pipeline.seenProducts.add(key);
+    }
+    pipeline.onFlush((products) => checkpoint.productsFlushed(products.map((product) => product.url)));
+    startUrls = [...listOfUrls, ...checkpoint.pending.values()];
+  }
+  const maxWorkers = Math.max(1, concurrency);
+  const workers = [];
+  const failures = [];
+  let pagesCrawled = 0;
+  // Listing pages robots.txt ruled out, whose products the run never sees
+  let listingsSkipped = 0;
+
+  const crawl = new Promise((resolve, reject) => {
+    let settled = false;
+    let admitting = 0;
+    let wakeTimer = null;
+    const fail = (error) => {
+      if (!settled) {
+        settled = true;
+        clearTimeout(wakeTimer);
+        for (const { worker } of workers) {
+          worker.terminate();
+        }
+        reject(error);
+      }
+    };
+
+    const inFlight = () => workers.reduce((total, entry) => total + entry.requests.size, 0);
+
+    // Detail pages also fetch Shopify's product JSON from the same host
+    const jsonUrlFor = (request) => request.stage === "detail" && !request.skipSources?.includes("shopify")
+      ? shopifyJsonUrl(request.url, options.profile)
+      : null;
+
+    const assign = (entry) => {
+      while (entry.requests.size < pagesPerWorker) {
+        const request = frontier.next((url) => politeness.tryAcquire(url));
+        if (!request) {
+          break;
+        }
+        if (jsonUrlFor(request)) {
+          politeness.charge(request.url);
+        }
+        entry.requests.set(request.url, request);
+        console.log("Worker working on", entry.worker.threadId, request.url);
+        entry.worker.postMessage({ type: "crawl", ...request });
+      }
+    };
+
+    const hasReadyUrl = () => frontier.pending().some(({ url }) => politeness.waitTime(url) === 0);
+
+    const dispatch = () => {
+      clearTimeout(wakeTimer);
+      wakeTimer = null;
+      if (settled) {
+        return;
+      }
+
+      for (const entry of workers) {
+        assign(entry);
+      }
+      while (workers.length < maxWorkers && hasReadyUrl()) {
+        assign(startWorker());
+      }
+
+      // URLs are waiting on their host's rate limit while a worker sits idle
+      const idle = workers.some((entry) => entry.requests.size < pagesPerWorker);
+      if (idle && frontier.size > 0) {
+        const wait = Math.min(...frontier.pending().map(({ url }) => politeness.waitTime(url)));
+        wakeTimer = setTimeout(dispatch, wait);
+      }
+
+      if (frontier.size === 0 && inFlight() === 0 && admitting === 0) {
+        settled = true;
+        for (const { worker } of workers) {
+          worker.postMessage({ type: "stop" });
+        }
+        resolve();
+      }
+    };
+
+    // URLs go into the frontier only once robots.txt allows them. While it
+    // can't be fetched they wait for the next attempt, and after
+    // `robotsRetries` attempts they count as failed pages.
+    const admit = async (request) => {
+      const entry = typeof request === "string" ? { url: request } : request;
+      if (frontier.has(entry.url)) {
+        return;
+      }
+      admitting += 1;
+      try {
+        for (let attempt = 1; !(await politeness.isAllowed(entry.url)); attempt++) {
+          const retryIn = politeness.robotsRetryTime(entry.url);
+          if (settled) {
+            return;
+          }
+          if (retryIn !== null && attempt < robotsRetries) {
+            await sleep(retryIn);
+            continue;
+          }
+          if (retryIn !== null) {
+            failures.push({ url: entry.url, reason: "robots-unavailable", attempts: attempt });
+          } else if (entry.stage !== "detail") {
+            listingsSkipped += 1;
+          }
+          // Keep what the listing page had for a product we may not open
+          if (entry.product) {
+            pipeline.addProduct(entry.product).catch(fail);
+          }
+          return;
+        }
+        const jsonUrl = jsonUrlFor(entry);
+        if (jsonUrl && !(await politeness.isAllowed(jsonUrl))) {
+          entry.skipSources = [...(entry.skipSources ?? []), "shopify"];
+        }
+        if (frontier.push(entry)) {
+          checkpoint?.urlQueued(entry);
+        }
+      } catch (error) {
+        fail(error);
+      } finally {
+        admitting -= 1;
+        dispatch();
+      }
+    };
+
+    const startWorker = () => {
+      const worker = new Worker(filename, {
+        workerData: { options: { ...options, pagesPerWorker } }
+      });
+      const entry = { worker, requests: new Map() };
+      workers.push(entry);
+      console.log("Worker created", worker.threadId);
+
+      worker.on("message", ({ url, products, nextUrl, failure, quality }) => {
+        const request = entry.requests.get(url);
+        entry.requests.delete(url);
+        pagesCrawled += 1;
+        if (failure) {
+          failures.push({ url, ...failure });
+        }
+        pipeline.quality.recordPage(quality);
+
+        const isDetail = request.stage === "detail";
+        // A detail page that failed still leaves the listing's data
+        const found = failure && isDetail ? [request.product] : products;
+        const discovered = nextUrl ? [{ url: nextUrl }] : [];
+        let cleaned = found.map((product) => pipeline.cleanRawProduct(product));
+        if (details && !isDetail) {
+          discovered.push(...cleaned.map((product, i) => ({ url: product.url, stage: "detail", product: found[i] })));
+          cleaned = [];
+        }
+
+        if (failure) {
+          checkpoint?.pageFailed(url, discovered);
+        } else {
+          checkpoint?.pageCrawled(url, cleaned.map((product) => product.url), discovered);
+        }
+        for (const next of discovered) {
+          admit(next);
+        }
+        for (const product of cleaned) {
+          pipeline.queueProduct(product).catch(fail);
+        }
+        dispatch();
+      });
+
+      worker.on("error", fail);
+      worker.on("exit", (code) => {
+        if (code !== 0 && !settled) {
+          fail(new Error(`Worker stopped with exit code ${code}`));
+        } else {
+          console.log("Worker exited");
+        }
+      });
+      return entry;
+    };
+
+    for (const url of startUrls) {
+      admit(url);
+    }
+    dispatch();
+  });
+
+  // Sinks only treat the run as complete when no page failed and, as the
+  // pipeline checks, every batch was written; close() throws otherwise. The
+  // checkpoint is kept for --resume unless both hold. The catalog was only
+  // seen if no listing page was skipped either.
+  let complete = false;
+  let catalogSeen = false;
+  return crawl
+    .then(() => {
+      complete = failures.length === 0;
+      catalogSeen = complete && listingsSkipped === 0 && pagesCrawled > 0;
+    })
+    .finally(() => pipeline.close({ complete, catalogSeen }))
+    .then(() => {
+      console.log("Pipeline closed");
+      if (complete) {
+        checkpoint?.remove();
+      }
+      return { pagesCrawled, failures, quality: pipeline.quality };
+    });
+}
+
+function describeFailure(failure) {
+  if (!failure) {
+    return null;
+  }
+  const { reason, status, detector, detail, attempts, error } = failure;
+  return { reason, status, detector, detail, attempts, error: error?.message ?? error ?? null };
+}
+
+// scrapeUrl(url, options, pool, { stage, product, skipSources }) resolves to
+// { products, nextUrl, failure, quality }; stage is "detail" for product
+// detail pages, and skipSources are detail sources robots.txt rules out.
+function runWorkerThread(scrapeUrl) {
+  const { options = {} } = workerData;
+  const pool = new BrowserPool({
+    headless: options.headless ?? true,
+    contextsPerBrowser: options.pagesPerWorker ?? 1,
+    ...options.browserPool,
+  });
+
+  parentPort.on("message", async (message) => {
+    if (message.type === "stop") {
+      await pool.close();
+      parentPort.close();
+      console.log("Worker finished");
+      return;
+    }
+
+    const { url, stage = "listing", product, skipSources = [] } = message;
+    let result;
+    try {
+      result = await scrapeUrl(url, options, pool, { stage, product, skipSources });
+    } catch (error) {
+      console.log(`Failed to scrape ${url}: ${error.message}`);
+      result = { nextUrl: null, products: [], failure: { reason: "error", error } };
+    }
+
+    parentPort.postMessage({
+      url,
+      products: result.products,
+      nextUrl: result.nextUrl,
+      failure: describeFailure(result.failure),
+      quality: result.quality ?? null,
+    });
+  });
+}
+
+module.exports = { isMainThread, runMainThread, runWorkerThread };